@@ -0,0 +1,210 @@
+/**
+ * 🚀 ASTEROID DESTROYER - Cursor filters
+ * Smoothing, latency prediction and gap filling for tracked cursors. No DOM
+ * and explicit timestamps (ms), so a recording's input trace can be re-run
+ * offline to compare settings:
+ *
+ *   import { runCursorFilterTrace } from './cursor-filters.js';
+ *
+ *   const recording = JSON.parse(fs.readFileSync('asteroid-replay.json', 'utf8'));
+ *   const smoothed = runCursorFilterTrace(recording.trace, 0, { type: 'kalman', processNoise: 40, measurementNoise: 0.00003 });
+ *
+ * Positions are normalized screen units (0..1). Filter options match
+ * getCursorFilterOptions() in game.js: type ('oneEuro', 'kalman', 'lerp' or
+ * 'none'), predict, gapFillFrames, lerp, minCutoff, beta, derivativeCutoff,
+ * processNoise and measurementNoise.
+ */
+
+// One Euro filter (Casiez et al.): a low-pass whose cutoff rises with
+// speed, so it is steady when still and responsive on fast moves
+export function createOneEuroFilter({ minCutoff, beta, derivativeCutoff }) {
+    let prev = null;
+    let prevDerivative = 0;
+    let prevTime = 0;
+
+    const alpha = (cutoff, dt) => {
+        const tau = 1 / (2 * Math.PI * cutoff);
+        return 1 / (1 + tau / dt);
+    };
+
+    return {
+        filter(value, timestamp) {
+            if (prev === null) {
+                prev = value;
+                prevTime = timestamp;
+                return value;
+            }
+
+            const dt = Math.max((timestamp - prevTime) / 1000, 1e-3);
+            prevTime = timestamp;
+
+            const derivative = (value - prev) / dt;
+            prevDerivative = lerp(prevDerivative, derivative, alpha(derivativeCutoff, dt));
+
+            const cutoff = minCutoff + beta * Math.abs(prevDerivative);
+            prev = lerp(prev, value, alpha(cutoff, dt));
+            return prev;
+        },
+        reset() {
+            prev = null;
+            prevDerivative = 0;
+        }
+    };
+}
+
+// Constant-velocity Kalman filter for one axis. Its velocity estimate is
+// what lets the pipeline predict past the tracking latency.
+export function createKalmanFilter({ processNoise, measurementNoise }) {
+    let position = null;
+    let velocity = 0; // units per second
+    let p00 = 0, p01 = 0, p10 = 0, p11 = 0;
+    let lastTime = 0;
+
+    function predict(timestamp) {
+        const dt = Math.max((timestamp - lastTime) / 1000, 0);
+        lastTime = timestamp;
+
+        position += velocity * dt;
+
+        const q = processNoise;
+        const dt2 = dt * dt;
+        const n00 = p00 + dt * (p10 + p01) + dt2 * p11 + q * dt2 * dt2 / 4;
+        const n01 = p01 + dt * p11 + q * dt2 * dt / 2;
+        const n10 = p10 + dt * p11 + q * dt2 * dt / 2;
+        const n11 = p11 + q * dt2;
+        p00 = n00; p01 = n01; p10 = n10; p11 = n11;
+    }
+
+    return {
+        update(measurement, timestamp) {
+            if (position === null) {
+                position = measurement;
+                velocity = 0;
+                p00 = measurementNoise; p01 = 0; p10 = 0; p11 = 1;
+                lastTime = timestamp;
+                return position;
+            }
+
+            predict(timestamp);
+
+            const k0 = p00 / (p00 + measurementNoise);
+            const k1 = p10 / (p00 + measurementNoise);
+            const innovation = measurement - position;
+            position += k0 * innovation;
+            velocity += k1 * innovation;
+
+            const n10 = p10 - k1 * p00;
+            const n11 = p11 - k1 * p01;
+            p00 = (1 - k0) * p00;
+            p01 = (1 - k0) * p01;
+            p10 = n10;
+            p11 = n11;
+
+            return position;
+        },
+        // Advance without a measurement (dropped frame)
+        coast(timestamp) {
+            if (position !== null) predict(timestamp);
+            return position;
+        },
+        ahead(ms) {
+            return position + velocity * ms / 1000;
+        },
+        reset() {
+            position = null;
+        }
+    };
+}
+
+// Smoothing -> optional latency prediction -> gap fill, for one cursor
+export function createCursorFilter(options) {
+    const axes = [0, 1].map(() => ({
+        oneEuro: createOneEuroFilter(options),
+        kalman: createKalmanFilter(options),
+        value: null
+    }));
+    const useKalman = options.type === 'kalman' || options.predict;
+    let lastOutput = null;
+    let lastVelocity = [0, 0]; // Per ms, for coasting without Kalman
+    let lastTime = 0;
+    let missed = 0;
+
+    function smooth(axis, value, timestamp) {
+        switch (options.type) {
+            case 'oneEuro': return axis.oneEuro.filter(value, timestamp);
+            case 'lerp': return axis.value === null ? value : lerp(axis.value, value, options.lerp);
+            default: return value;
+        }
+    }
+
+    function output(positions, timestamp) {
+        if (lastOutput && timestamp > lastTime) {
+            lastVelocity = positions.map((v, i) => (v - lastOutput[i]) / (timestamp - lastTime));
+        }
+        lastOutput = positions;
+        lastTime = timestamp;
+        return { x: positions[0], y: positions[1] };
+    }
+
+    const filter = {
+        update(x, y, timestamp, lead = 0) {
+            missed = 0;
+            const positions = [x, y].map((value, i) => {
+                const axis = axes[i];
+                axis.value = smooth(axis, value, timestamp);
+                if (!useKalman) return axis.value;
+
+                axis.kalman.update(axis.value, timestamp);
+                return axis.kalman.ahead(options.predict ? lead : 0);
+            });
+            return output(positions, timestamp);
+        },
+        // Returns an extrapolated position while within the gap-fill
+        // budget, or null once the cursor should be considered lost
+        miss(timestamp, lead = 0) {
+            missed++;
+            if (!lastOutput || missed > options.gapFillFrames) {
+                filter.reset();
+                return null;
+            }
+
+            const positions = axes.map((axis, i) => {
+                if (useKalman) {
+                    axis.kalman.coast(timestamp);
+                    return axis.kalman.ahead(options.predict ? lead : 0);
+                }
+                return lastOutput[i] + lastVelocity[i] * (timestamp - lastTime);
+            });
+            return output(positions, timestamp);
+        },
+        reset() {
+            axes.forEach(axis => {
+                axis.oneEuro.reset();
+                axis.kalman.reset();
+                axis.value = null;
+            });
+            lastOutput = null;
+            lastVelocity = [0, 0];
+            missed = 0;
+        }
+    };
+
+    return filter;
+}
+
+// Runs a filter over a recorded trace for one cursor. Returns
+// { t, x, y } per sample, with null x/y where the cursor was lost.
+export function runCursorFilterTrace(trace, slot, options) {
+    const filter = createCursorFilter(options);
+
+    return trace
+        .filter(sample => sample[1] === slot)
+        .map(([t, , x, y, lead]) => {
+            const out = x === null ? filter.miss(t, lead) : filter.update(x, y, t, lead);
+            return { t, x: out ? out.x : null, y: out ? out.y : null };
+        });
+}
+
+function lerp(a, b, t) {
+    return a + (b - a) * t;
+}
@@ -0,0 +1,996 @@
+/**
+ * 🚀 ASTEROID DESTROYER - Simulation core
+ * Waves, asteroids, slashing, bombs, shields, power-ups, scoring and lives,
+ * with no DOM, canvas, audio or clock. game.js feeds it one fixed step of
+ * input at a time and draws what it reports; it runs headless just as well:
+ *
+ *   import { createGameCore, createRng } from './game-core.js';
+ *
+ *   const game = createGameCore({ world: { width: 1280, height: 720 }, rng: createRng(42) });
+ *   game.on('destroyed', ({ points }) => console.log('+', points));
+ *   game.step({ cursors: [[640, 360, 1]] });
+ */
+
+// ============================================
+// CONFIGURATION
+// ============================================
+// Simulation settings. game.js spreads these into its CONFIG, so the
+// settings screen and replays cover them too.
+export const CORE_CONFIG = {
+    initialLives: 3,
+    baseAsteroidSpeed: 1.5,
+    minSpawnInterval: 500, // Floor for any wave's spawn interval
+    cursorRadius: 60,
+    swipeSampleSteps: 4, // Simulation steps used to measure swipe speed
+    slashMinSpeed: 600, // px per second a cursor must move to cut an asteroid
+    slashSpeedPerDamage: 900, // Each extra this many px/s deals 1 more damage
+    maxSlashDamage: 3,
+    slashRadius: 30, // Half-width of the blade along the swipe
+    comboTimeout: 2000,
+    simulationStep: 1000 / 60, // Fixed timestep (ms)
+
+    // Actions
+    bombCharges: 3,
+    bombRadius: 250,
+    bombDamage: 3, // Bosses survive a bomb; everything else breaks
+    shieldDuration: 3000,
+    shieldCooldown: 10000,
+    shieldRadius: 130
+};
+
+// Speeds, rotation, decay and damping are tuned per 60 Hz frame
+export const REFERENCE_FRAME_TIME = 1000 / 60;
+
+// Wave definitions. Each wave spawns `count` rocks, one every
+// `spawnInterval` ms; `speed` multiplies CONFIG.baseAsteroidSpeed and
+// `sizes` are relative spawn weights. Waves past the end of the list
+// repeat the last one, growing by `endless` per extra wave. Every
+// `bossEvery`-th wave adds a boss.
+export const WAVE_CONFIG = {
+    introDuration: 2000, // Wave banner before spawning starts (ms)
+    breatherDuration: 4000, // Rest after a wave is cleared (ms)
+    bossEvery: 5,
+    sizeRanges: {
+        small: [20, 30],
+        medium: [30, 45],
+        large: [45, 60]
+    },
+    waves: [
+        { count: 6, spawnInterval: 2000, speed: 1.0, sizes: { small: 1, medium: 2, large: 1 } },
+        { count: 8, spawnInterval: 1800, speed: 1.1, sizes: { small: 1, medium: 2, large: 1 } },
+        { count: 10, spawnInterval: 1600, speed: 1.2, sizes: { small: 2, medium: 2, large: 1 } },
+        { count: 12, spawnInterval: 1400, speed: 1.3, sizes: { small: 2, medium: 2, large: 2 } },
+        { count: 8, spawnInterval: 1800, speed: 1.2, sizes: { small: 1, medium: 1, large: 1 } },
+        { count: 14, spawnInterval: 1200, speed: 1.4, sizes: { small: 3, medium: 2, large: 1 } },
+        { count: 16, spawnInterval: 1100, speed: 1.5, sizes: { small: 3, medium: 2, large: 2 } },
+        { count: 18, spawnInterval: 1000, speed: 1.6, sizes: { small: 3, medium: 3, large: 2 } },
+        { count: 20, spawnInterval: 900, speed: 1.7, sizes: { small: 4, medium: 3, large: 2 } },
+        { count: 12, spawnInterval: 1200, speed: 1.6, sizes: { small: 2, medium: 2, large: 1 } }
+    ],
+    endless: { count: 2, spawnInterval: -50, speed: 0.05 },
+    boss: {
+        radius: 110,
+        health: 8,
+        speed: 0.35,
+        scoreMultiplier: 10,
+        hitCooldown: 400, // ms of invulnerability after each hit
+        knockback: 40, // px pushed back per hit
+        livesCost: 2 // Lives lost if it reaches the center
+    }
+};
+
+// Asteroid types. `weight` is the relative spawn chance once the game
+// reaches `fromWave`; `score` is base points (scaled by size and combo);
+// `speed` multiplies the wave's speed. `radius` overrides the wave's
+// size mix. Multi-hit rocks get `hitCooldown` ms of invulnerability and
+// `knockback` px after each hit.
+export const ASTEROID_TYPES = {
+    rock: { weight: 6, fromWave: 1, score: 10, health: 1, speed: 1, hue: [20, 40] },
+    splitter: {
+        weight: 2, fromWave: 2, score: 15, health: 1, speed: 0.85, hue: [10, 25],
+        radius: [50, 65],
+        fragments: [2, 3], // Min/max pieces it breaks into
+        fragmentScale: 0.5
+    },
+    fast: {
+        weight: 2, fromWave: 3, score: 20, health: 1, speed: 2.2, hue: [45, 55],
+        radius: [15, 22]
+    },
+    armored: {
+        weight: 1.5, fromWave: 4, score: 30, health: 3, speed: 0.8, hue: [200, 220],
+        hitCooldown: 300,
+        knockback: 25,
+        breakSpeed: 1800 // A swipe this fast (px/s) breaks it in one hit
+    },
+    homing: {
+        weight: 1, fromWave: 6, score: 25, health: 1, speed: 1.0, hue: [270, 290],
+        turnRate: 0.025, // rad per 60 Hz frame
+        launchAngle: 1.0 // Max initial heading offset from the center (rad)
+    }
+};
+
+// Pickups that sometimes drop from destroyed asteroids. Timed effects
+// last `duration` ms; picking one up again while active restarts it.
+export const POWER_UP_CONFIG = {
+    dropChance: 0.12, // Per destroyed asteroid; bosses always drop one
+    radius: 22,
+    lifetime: 8000, // ms before an uncollected pickup disappears
+    drift: 0.8, // Max speed in px per 60 Hz frame
+    maxLives: 5,
+    types: {
+        slowMo: { icon: '🐢', label: 'SLOW-MO', color: '120, 200, 255', weight: 3, duration: 6000, timeScale: 0.4 },
+        bigCursor: { icon: '🔍', label: 'BIG CURSOR', color: '0, 255, 136', weight: 3, duration: 8000, radiusScale: 1.8 },
+        mirror: { icon: '🪞', label: 'MIRROR', color: '255, 0, 255', weight: 2, duration: 8000 },
+        shield: { icon: '🛡️', label: 'SHIELD', color: '0, 245, 255', weight: 2, duration: 5000 },
+        extraLife: { icon: '❤️', label: '+1 LIFE', color: '255, 80, 100', weight: 1 }
+    }
+};
+
+// Game modes. Anything a mode leaves out plays like classic:
+//   timeLimit      ms until the round ends on its own
+//   spawnRate      multiplies how often asteroids spawn
+//   speed          multiplies asteroid speed
+//   lives          false: nothing costs a life, impacts cost impactPenalty
+//                  points instead, taken from the leading player
+//   bosses         false: no boss waves
+//   shielded       the target is always shielded
+//   target         'cursor': asteroids hunt the first detected cursor
+//                  instead of the center, and touching one costs a life
+//   slashing       false: cursors don't cut asteroids
+//   huntTurnRate   rad per 60 Hz frame every asteroid turns toward the
+//                  target, for its first huntTime ms
+//   survivalPoints points per second with a cursor on screen
+//   solo           no co-op
+export const GAME_MODES = {
+    classic: {
+        label: '🛡️ Classic', color: '#00f5ff',
+        description: 'Defend the center until your lives run out'
+    },
+    timeAttack: {
+        label: '⏱️ Time Attack', color: '#ffe019',
+        description: 'Score all you can in 60 seconds; impacts cost points',
+        timeLimit: 60 * 1000,
+        spawnRate: 1.6,
+        lives: false,
+        impactPenalty: 50
+    },
+    zen: {
+        label: '🧘 Zen', color: '#2ee65c',
+        description: 'No lives, no bosses, slower rocks. End it from the pause menu',
+        spawnRate: 0.6,
+        speed: 0.7,
+        lives: false,
+        impactPenalty: 0,
+        bosses: false,
+        shielded: true
+    },
+    dodge: {
+        label: '💨 Dodge', color: '#ff3bc4',
+        description: 'Asteroids hunt your cursor; stay out of their way',
+        target: 'cursor',
+        slashing: false,
+        huntTurnRate: 0.01,
+        huntTime: 5000, // Then they fly straight on and leave
+        hitRadius: 10, // Added to the asteroid's radius
+        survivalPoints: 10,
+        bosses: false,
+        solo: true
+    }
+};
+
+// ============================================
+// SEEDED RANDOM
+// ============================================
+// mulberry32: small, fast and good enough for gameplay. Everything that
+// affects the simulation draws from the core's rng so replays are exact.
+export function createRng(seed) {
+    let t = seed >>> 0;
+    return function () {
+        t = (t + 0x6D2B79F5) >>> 0;
+        let r = Math.imul(t ^ (t >>> 15), 1 | t);
+        r = (r + Math.imul(r ^ (r >>> 7), 61 | r)) ^ r;
+        return ((r ^ (r >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+// ============================================
+// GAME CORE
+// ============================================
+// One round of the game. Options:
+//   world  { width, height } in px; asteroids head for its center
+//   rng    () -> [0, 1), e.g. createRng(seed)
+//   config CORE_CONFIG or any object with the same keys, read live
+//   coop   two players scoring separately instead of one
+//   mode   key of GAME_MODES
+//
+// step(input, deltaTime) advances one fixed step. input is
+//   { cursors: [[x, y, detected], ...], actions: [[action, slot], ...], world: [width, height] }
+// with one cursor per hand slot; actions ('bomb' or 'shield') and world
+// (after a resize) are optional. Recordings store exactly these frames.
+//
+// Events, subscribed with on(type, listener):
+//   explosion      { x, y, size }        something broke, for particles and sound
+//   damaged        { asteroid }          hit but not destroyed
+//   destroyed      { asteroid, player, points }
+//   scored         { player, points }    points not from a kill (may be negative)
+//   blocked        { asteroid }          broken on the shield
+//   impact         { asteroid }          reached the target
+//   lifeLost       { lives }
+//   lifeGained     { lives }
+//   comboReset     { player }
+//   pickedUp       { pickup }            a power-up was collected
+//   bomb           { x, y }
+//   shield         {}
+//   powerUpsChanged {}                   activated, expired or a second ticked by
+//   waveCleared    { wave }
+//   waveStarted    { wave }
+//   gameOver       { score }            out of lives or time, or end() was called
+export function createGameCore({ world, rng, config = CORE_CONFIG, coop = false, mode: modeName = 'classic' }) {
+    const listeners = {};
+    const mode = GAME_MODES[modeName];
+
+    const state = {
+        world: { width: world.width, height: world.height },
+        gameTime: 0,
+        score: 0,
+        lives: config.initialLives,
+        mode: modeName,
+        coop: coop && !mode.solo,
+        players: coop && !mode.solo ? [createPlayer(), createPlayer()] : [createPlayer()],
+        cursors: [],
+        asteroids: [],
+        pickups: [],
+        powerUps: {}, // name -> gameTime it runs out
+        bombs: config.bombCharges,
+        shieldUntil: 0,
+        shieldReadyAt: 0,
+        wave: createWaveState(1),
+        stats: { destroyed: 0, maxCombo: 1, swipes: 0, swipeHits: 0 },
+        survived: 0, // ms with a cursor on screen, for survivalPoints
+        over: false
+    };
+
+    // Returns a function that unsubscribes
+    function on(type, listener) {
+        (listeners[type] = listeners[type] || []).push(listener);
+        return () => {
+            listeners[type] = listeners[type].filter(l => l !== listener);
+        };
+    }
+
+    function emit(type, detail = {}) {
+        (listeners[type] || []).forEach(listener => listener(detail));
+    }
+
+    function step(input, deltaTime = config.simulationStep) {
+        if (state.over) return;
+
+        if (input.world) {
+            [state.world.width, state.world.height] = input.world;
+        }
+        applyCursorInput(input.cursors || []);
+
+        state.gameTime += deltaTime;
+
+        updateCursorMotion();
+        (input.actions || []).forEach(([action, slot]) => applyAction(action, slot));
+
+        updateWave(deltaTime);
+        updateAsteroids(deltaTime);
+        updatePickups(deltaTime);
+        updatePowerUps(deltaTime);
+        updateCombos();
+        updateSurvival(deltaTime);
+
+        if (mode.timeLimit && state.gameTime >= mode.timeLimit) {
+            end();
+        }
+    }
+
+    // Ends the round early, e.g. when the player quits a zen run
+    function end() {
+        if (state.over) return;
+
+        state.over = true;
+        emit('gameOver', { score: state.score });
+    }
+
+    // ms left before a timed mode ends, or null
+    function getTimeLeft() {
+        return mode.timeLimit ? Math.max(0, mode.timeLimit - state.gameTime) : null;
+    }
+
+    function random() {
+        return rng();
+    }
+
+    function randomRange([min, max]) {
+        return min + random() * (max - min);
+    }
+
+    // --------------------------------------------
+    // Cursors
+    // --------------------------------------------
+    function applyCursorInput(cursors) {
+        cursors.forEach(([x, y, detected], slot) => {
+            const cursor = state.cursors[slot] || (state.cursors[slot] = createCursor(slot));
+            cursor.x = x;
+            cursor.y = y;
+            cursor.detected = Boolean(detected);
+        });
+    }
+
+    function createCursor(slot) {
+        return {
+            slot,
+            x: 0,
+            y: 0,
+            detected: false,
+            motion: [], // Positions per simulation step, for swipe speed
+            swipe: null // The slash in progress, for accuracy stats
+        };
+    }
+
+    function updateCursorMotion() {
+        state.cursors.forEach(cursor => {
+            if (!cursor.detected) {
+                cursor.motion = [];
+                endSwipe(cursor);
+                return;
+            }
+
+            cursor.motion.push({ x: cursor.x, y: cursor.y, t: state.gameTime });
+            if (cursor.motion.length > config.swipeSampleSteps + 1) {
+                cursor.motion.shift();
+            }
+
+            // Each continuous stretch above slash speed counts as one swipe
+            if (getCursorSpeed(cursor) >= config.slashMinSpeed) {
+                cursor.swipe = cursor.swipe || { hit: false };
+            } else {
+                endSwipe(cursor);
+            }
+        });
+    }
+
+    function endSwipe(cursor) {
+        if (!cursor.swipe) return;
+
+        state.stats.swipes++;
+        if (cursor.swipe.hit) {
+            state.stats.swipeHits++;
+        }
+        cursor.swipe = null;
+    }
+
+    // Cursor speed in px per second over the last few simulation steps
+    function getCursorSpeed(cursor) {
+        const motion = cursor.motion;
+        if (motion.length < 2) return 0;
+
+        const first = motion[0];
+        const last = motion[motion.length - 1];
+        return Math.hypot(last.x - first.x, last.y - first.y) / ((last.t - first.t) / 1000);
+    }
+
+    // Detected cursors plus, with the mirror power-up, a copy of each one
+    // reflected across the vertical center line
+    function getActiveCursors() {
+        const cursors = state.cursors.filter(cursor => cursor.detected);
+        if (!isPowerUpActive('mirror')) return cursors;
+
+        return cursors.concat(cursors.map(mirrorCursor));
+    }
+
+    function mirrorCursor(cursor) {
+        const width = state.world.width;
+        const mirror = point => ({ ...point, x: width - point.x });
+
+        return {
+            ...mirror(cursor),
+            mirrored: true,
+            motion: cursor.motion.map(mirror)
+        };
+    }
+
+    function getCursorScale() {
+        return isPowerUpActive('bigCursor') ? POWER_UP_CONFIG.types.bigCursor.radiusScale : 1;
+    }
+
+    // --------------------------------------------
+    // Players & lives
+    // --------------------------------------------
+    function createPlayer() {
+        return { score: 0, combo: 1, lastDestroyTime: -Infinity };
+    }
+
+    // In co-op each hand scores for its own player; solo, both hands share one
+    function playerForCursor(cursor) {
+        return state.players[state.coop ? cursor.slot : 0];
+    }
+
+    function loseLife() {
+        state.lives--;
+        emit('lifeLost', { lives: state.lives });
+
+        if (state.lives <= 0) {
+            end();
+        }
+    }
+
+    // Points outside destroyAsteroid; scores never drop below zero
+    function addPoints(player, points) {
+        const applied = Math.max(-player.score, points);
+        player.score += applied;
+        state.score += applied;
+        emit('scored', { player, points: applied });
+    }
+
+    function updateSurvival(deltaTime) {
+        if (!mode.survivalPoints || !getTarget()) return;
+
+        const before = Math.floor(state.survived / 1000);
+        state.survived += deltaTime;
+        if (Math.floor(state.survived / 1000) > before) {
+            addPoints(state.players[0], mode.survivalPoints);
+        }
+    }
+
+    function updateCombos() {
+        state.players.forEach(player => {
+            if (state.gameTime - player.lastDestroyTime > config.comboTimeout && player.combo > 1) {
+                player.combo = 1;
+                emit('comboReset', { player });
+            }
+        });
+    }
+
+    // --------------------------------------------
+    // Actions
+    // --------------------------------------------
+    function applyAction(action, slot) {
+        if (action === 'bomb') {
+            fireBomb(state.cursors[slot]);
+        } else if (action === 'shield') {
+            raiseShield();
+        }
+    }
+
+    function fireBomb(cursor) {
+        if (state.bombs <= 0 || !cursor || !cursor.detected) return;
+
+        const { x, y } = cursor;
+        state.bombs--;
+
+        for (let i = state.asteroids.length - 1; i >= 0; i--) {
+            const asteroid = state.asteroids[i];
+            if (Math.hypot(asteroid.x - x, asteroid.y - y) < config.bombRadius + asteroid.radius) {
+                hitAsteroid(i, playerForCursor(cursor), config.bombDamage);
+            }
+        }
+
+        emit('bomb', { x, y });
+    }
+
+    function raiseShield() {
+        if (state.gameTime < state.shieldReadyAt) return;
+
+        state.shieldUntil = state.gameTime + config.shieldDuration;
+        state.shieldReadyAt = state.gameTime + config.shieldCooldown;
+        emit('shield');
+    }
+
+    function isShieldActive() {
+        return Boolean(mode.shielded) || state.gameTime < state.shieldUntil || isPowerUpActive('shield');
+    }
+
+    // Where asteroids are headed: the center, or in dodge the first
+    // detected cursor (null while there is none)
+    function getTarget() {
+        if (mode.target !== 'cursor') {
+            return { x: state.world.width / 2, y: state.world.height / 2 };
+        }
+
+        const cursor = state.cursors.find(c => c.detected);
+        return cursor ? { x: cursor.x, y: cursor.y } : null;
+    }
+
+    // --------------------------------------------
+    // Waves
+    // --------------------------------------------
+    function createWaveState(number) {
+        return {
+            number,
+            def: getWaveDefinition(number),
+            boss: number % WAVE_CONFIG.bossEvery === 0 && mode.bosses !== false,
+            phase: 'intro', // 'intro' -> 'active' -> 'breather'
+            phaseTime: 0,
+            spawned: 0,
+            lastSpawnTime: -Infinity
+        };
+    }
+
+    function getWaveDefinition(number) {
+        const { waves, endless } = WAVE_CONFIG;
+        const base = waves[Math.min(number, waves.length) - 1];
+        const extra = Math.max(0, number - waves.length);
+
+        return {
+            count: base.count + endless.count * extra,
+            spawnInterval: Math.max(config.minSpawnInterval, base.spawnInterval + endless.spawnInterval * extra) /
+                (mode.spawnRate || 1),
+            speed: (base.speed + endless.speed * extra) * (mode.speed || 1),
+            sizes: base.sizes
+        };
+    }
+
+    function updateWave(deltaTime) {
+        const wave = state.wave;
+        wave.phaseTime += deltaTime;
+
+        switch (wave.phase) {
+            case 'intro':
+                if (wave.phaseTime >= WAVE_CONFIG.introDuration) {
+                    wave.phase = 'active';
+                    wave.phaseTime = 0;
+                    if (wave.boss) {
+                        spawnBoss(wave.def);
+                    }
+                }
+                break;
+
+            case 'active':
+                if (wave.spawned < wave.def.count &&
+                    wave.phaseTime - wave.lastSpawnTime >= wave.def.spawnInterval) {
+                    const typeName = pickAsteroidType(wave.number);
+                    const type = ASTEROID_TYPES[typeName];
+                    spawnAsteroid({
+                        type: typeName,
+                        speed: wave.def.speed * type.speed,
+                        radius: type.radius ? randomRange(type.radius) : pickAsteroidRadius(wave.def.sizes),
+                        health: type.health
+                    });
+                    wave.spawned++;
+                    wave.lastSpawnTime = wave.phaseTime;
+                }
+
+                if (wave.spawned >= wave.def.count && state.asteroids.length === 0) {
+                    wave.phase = 'breather';
+                    wave.phaseTime = 0;
+                    emit('waveCleared', { wave });
+                }
+                break;
+
+            case 'breather':
+                if (wave.phaseTime >= WAVE_CONFIG.breatherDuration) {
+                    state.wave = createWaveState(wave.number + 1);
+                    emit('waveStarted', { wave: state.wave });
+                }
+                break;
+        }
+    }
+
+    function pickAsteroidRadius(sizes) {
+        return randomRange(WAVE_CONFIG.sizeRanges[pickWeighted(sizes)]);
+    }
+
+    function pickAsteroidType(waveNumber) {
+        const weights = {};
+        Object.entries(ASTEROID_TYPES).forEach(([name, type]) => {
+            if (waveNumber >= type.fromWave) {
+                weights[name] = type.weight;
+            }
+        });
+        return pickWeighted(weights);
+    }
+
+    // Picks a key of { key: weight } with probability proportional to weight
+    function pickWeighted(weights) {
+        const entries = Object.entries(weights);
+        const total = entries.reduce((sum, [, weight]) => sum + weight, 0);
+        let roll = random() * total;
+
+        for (const [key, weight] of entries) {
+            roll -= weight;
+            if (roll < 0) return key;
+        }
+        return entries[entries.length - 1][0];
+    }
+
+    function spawnBoss(def) {
+        const boss = WAVE_CONFIG.boss;
+
+        spawnAsteroid({
+            type: 'rock',
+            speed: def.speed * boss.speed,
+            radius: boss.radius,
+            health: boss.health + Math.floor(state.wave.number / WAVE_CONFIG.bossEvery) - 1,
+            boss: true
+        });
+    }
+
+    // --------------------------------------------
+    // Asteroids
+    // --------------------------------------------
+    function spawnAsteroid({ type = 'rock', speed: speedMultiplier, radius, health = 1, boss = false }) {
+        const { width, height } = state.world;
+        const side = Math.floor(random() * 4);
+        let x, y;
+
+        switch (side) {
+            case 0: x = random() * width; y = -50; break;
+            case 1: x = width + 50; y = random() * height; break;
+            case 2: x = random() * width; y = height + 50; break;
+            case 3: x = -50; y = random() * height; break;
+        }
+
+        const aim = getTarget() || { x: width / 2, y: height / 2 };
+        const centerX = aim.x + (random() - 0.5) * 200;
+        const centerY = aim.y + (random() - 0.5) * 200;
+        let heading = Math.atan2(centerY - y, centerX - x);
+
+        // Homing rocks launch off-course and curve in
+        const typeDef = ASTEROID_TYPES[type];
+        if (typeDef.turnRate) {
+            heading += (random() < 0.5 ? -1 : 1) * (0.5 + random() * 0.5) * typeDef.launchAngle;
+        }
+
+        const speed = config.baseAsteroidSpeed * speedMultiplier * (0.8 + random() * 0.4);
+
+        state.asteroids.push(createAsteroid(type, {
+            x, y,
+            vx: Math.cos(heading) * speed,
+            vy: Math.sin(heading) * speed,
+            radius,
+            health,
+            boss
+        }));
+    }
+
+    function createAsteroid(type, { x, y, vx, vy, radius, health = 1, boss = false }) {
+        const typeDef = ASTEROID_TYPES[type];
+
+        return {
+            type,
+            x, y, vx, vy,
+            radius,
+            rotation: random() * Math.PI * 2,
+            rotationSpeed: (random() - 0.5) * (boss ? 0.01 : 0.05),
+            vertices: generateAsteroidShape(),
+            hue: boss ? 340 + random() * 20 : randomRange(typeDef.hue),
+            health,
+            maxHealth: health,
+            spawnedAt: state.gameTime,
+            invulnerableUntil: 0,
+            hitCooldown: boss ? WAVE_CONFIG.boss.hitCooldown : typeDef.hitCooldown || 0,
+            knockback: boss ? WAVE_CONFIG.boss.knockback : typeDef.knockback || 0,
+            boss
+        };
+    }
+
+    // Splitters break into smaller rocks that keep heading inward
+    function spawnFragments(asteroid) {
+        const typeDef = ASTEROID_TYPES[asteroid.type];
+        const [min, max] = typeDef.fragments;
+        const count = min + Math.floor(random() * (max - min + 1));
+        const speed = Math.hypot(asteroid.vx, asteroid.vy) * 1.3;
+        const heading = Math.atan2(asteroid.vy, asteroid.vx);
+
+        for (let i = 0; i < count; i++) {
+            const spread = ((i / (count - 1 || 1)) - 0.5) * 1.2;
+            const angle = heading + spread;
+            state.asteroids.push(createAsteroid('rock', {
+                x: asteroid.x + Math.cos(angle) * asteroid.radius * 0.4,
+                y: asteroid.y + Math.sin(angle) * asteroid.radius * 0.4,
+                vx: Math.cos(angle) * speed,
+                vy: Math.sin(angle) * speed,
+                radius: asteroid.radius * typeDef.fragmentScale
+            }));
+        }
+    }
+
+    function generateAsteroidShape() {
+        const vertices = [];
+        const numVertices = 8 + Math.floor(random() * 5);
+
+        for (let i = 0; i < numVertices; i++) {
+            const angle = (i / numVertices) * Math.PI * 2;
+            const radius = 0.7 + random() * 0.3;
+            vertices.push({ angle, radius });
+        }
+
+        return vertices;
+    }
+
+    function updateAsteroids(deltaTime) {
+        const { width, height } = state.world;
+        const target = getTarget();
+        const frames = (deltaTime / REFERENCE_FRAME_TIME) * getAsteroidTimeScale();
+
+        for (let i = state.asteroids.length - 1; i >= 0; i--) {
+            const asteroid = state.asteroids[i];
+
+            let turnRate = ASTEROID_TYPES[asteroid.type].turnRate || 0;
+            if (mode.huntTurnRate && state.gameTime - asteroid.spawnedAt < mode.huntTime) {
+                turnRate = Math.max(turnRate, mode.huntTurnRate);
+            }
+            if (turnRate && target) {
+                steerTowards(asteroid, target.x, target.y, turnRate * frames);
+            }
+
+            asteroid.x += asteroid.vx * frames;
+            asteroid.y += asteroid.vy * frames;
+            asteroid.rotation += asteroid.rotationSpeed * frames;
+
+            // Drop rocks that missed the target and drifted off-screen so the
+            // wave can still be cleared
+            const margin = asteroid.radius + 100;
+            if (asteroid.x < -margin || asteroid.x > width + margin ||
+                asteroid.y < -margin || asteroid.y > height + margin) {
+                state.asteroids.splice(i, 1);
+                continue;
+            }
+
+            // Check for a finger cursor slicing through it
+            const slash = mode.slashing === false ? null : findSlash(asteroid);
+
+            if (slash && state.gameTime >= asteroid.invulnerableUntil) {
+                const swipe = state.cursors[slash.cursor.slot].swipe;
+                if (swipe) {
+                    swipe.hit = true;
+                }
+
+                // A fast enough swipe cracks armor in one go
+                const breakSpeed = ASTEROID_TYPES[asteroid.type].breakSpeed;
+                const damage = breakSpeed && slash.speed >= breakSpeed ?
+                    asteroid.health :
+                    getSlashDamage(slash.speed);
+                if (hitAsteroid(i, playerForCursor(slash.cursor), damage)) continue;
+            }
+
+            if (!target) continue;
+
+            const distToCenter = Math.sqrt(
+                Math.pow(asteroid.x - target.x, 2) +
+                Math.pow(asteroid.y - target.y, 2)
+            );
+
+            if (isShieldActive() && distToCenter < config.shieldRadius + (asteroid.boss ? asteroid.radius : 0)) {
+                if (asteroid.boss) {
+                    // Bosses bounce off the shield instead of breaking on it
+                    if (state.gameTime >= asteroid.invulnerableUntil) {
+                        damageAsteroid(asteroid, 1);
+                    }
+                    continue;
+                }
+
+                emit('explosion', { x: asteroid.x, y: asteroid.y, size: asteroid.radius });
+                state.asteroids.splice(i, 1);
+                emit('blocked', { asteroid });
+                continue;
+            }
+
+            const hitRadius = mode.target === 'cursor' ? asteroid.radius + mode.hitRadius : 50;
+            if (distToCenter < hitRadius) {
+                state.asteroids.splice(i, 1);
+                emit('impact', { asteroid });
+                if (mode.lives === false) {
+                    // One penalty per impact, paid by whoever can best afford it
+                    const leader = state.players.reduce((best, player) => (player.score > best.score ? player : best));
+                    addPoints(leader, -mode.impactPenalty);
+                    continue;
+                }
+                const livesCost = asteroid.boss ? WAVE_CONFIG.boss.livesCost : 1;
+                for (let n = 0; n < livesCost && !state.over; n++) {
+                    loseLife();
+                }
+            }
+        }
+    }
+
+    // Hovering does nothing: a cursor has to be moving faster than
+    // slashMinSpeed, and the whole path it covered this step is tested so a
+    // fast swipe can't skip over an asteroid between samples.
+    function findSlash(asteroid) {
+        for (const cursor of getActiveCursors()) {
+            if (cursor.motion.length < 2) continue;
+
+            const speed = getCursorSpeed(cursor);
+            if (speed < config.slashMinSpeed) continue;
+
+            const from = cursor.motion[cursor.motion.length - 2];
+            const to = cursor.motion[cursor.motion.length - 1];
+            const dist = distanceToSegment(asteroid.x, asteroid.y, from.x, from.y, to.x, to.y);
+            if (dist < asteroid.radius + config.slashRadius * getCursorScale()) {
+                return { cursor, speed };
+            }
+        }
+        return null;
+    }
+
+    function getSlashDamage(speed) {
+        const extra = Math.floor((speed - config.slashMinSpeed) / config.slashSpeedPerDamage);
+        return Math.min(config.maxSlashDamage, 1 + extra);
+    }
+
+    // Deals damage to the asteroid at index. Returns true if it was destroyed.
+    function hitAsteroid(index, player, damage) {
+        const asteroid = state.asteroids[index];
+
+        if (asteroid.health > damage) {
+            damageAsteroid(asteroid, damage);
+            return false;
+        }
+
+        destroyAsteroid(index, player);
+        return true;
+    }
+
+    // Damage that doesn't destroy: brief invulnerability and knockback so a
+    // cursor resting on a tough rock doesn't drain it every frame
+    function damageAsteroid(asteroid, damage) {
+        const speed = Math.hypot(asteroid.vx, asteroid.vy) || 1;
+
+        asteroid.health = Math.max(1, asteroid.health - damage);
+        asteroid.invulnerableUntil = state.gameTime + asteroid.hitCooldown;
+        asteroid.x -= (asteroid.vx / speed) * asteroid.knockback;
+        asteroid.y -= (asteroid.vy / speed) * asteroid.knockback;
+
+        emit('explosion', { x: asteroid.x, y: asteroid.y, size: 15 });
+        emit('damaged', { asteroid });
+    }
+
+    function steerTowards(asteroid, targetX, targetY, maxTurn) {
+        const heading = Math.atan2(asteroid.vy, asteroid.vx);
+        const desired = Math.atan2(targetY - asteroid.y, targetX - asteroid.x);
+        let diff = desired - heading;
+        diff = Math.atan2(Math.sin(diff), Math.cos(diff)); // Wrap to [-π, π]
+
+        const turned = heading + Math.max(-maxTurn, Math.min(maxTurn, diff));
+        const speed = Math.hypot(asteroid.vx, asteroid.vy);
+        asteroid.vx = Math.cos(turned) * speed;
+        asteroid.vy = Math.sin(turned) * speed;
+    }
+
+    function destroyAsteroid(index, player) {
+        const asteroid = state.asteroids[index];
+        emit('explosion', { x: asteroid.x, y: asteroid.y, size: asteroid.radius });
+        state.asteroids.splice(index, 1);
+
+        if (ASTEROID_TYPES[asteroid.type].fragments && !asteroid.boss) {
+            spawnFragments(asteroid);
+        }
+
+        if (asteroid.boss || random() < POWER_UP_CONFIG.dropChance) {
+            dropPickup(asteroid.x, asteroid.y);
+        }
+
+        const now = state.gameTime;
+        if (now - player.lastDestroyTime < config.comboTimeout) {
+            player.combo = Math.min(10, player.combo + 1);
+        } else {
+            player.combo = 1;
+        }
+        player.lastDestroyTime = now;
+        state.stats.destroyed++;
+        state.stats.maxCombo = Math.max(state.stats.maxCombo, player.combo);
+
+        const baseScore = ASTEROID_TYPES[asteroid.type].score;
+        const multiplier = asteroid.boss ? WAVE_CONFIG.boss.scoreMultiplier : 1;
+        const points = Math.round(baseScore * player.combo * (asteroid.radius / 30) * multiplier);
+        player.score += points;
+        state.score += points;
+
+        emit('destroyed', { asteroid, player, points });
+    }
+
+    // --------------------------------------------
+    // Power-ups
+    // --------------------------------------------
+    function dropPickup(x, y) {
+        const weights = {};
+        Object.entries(POWER_UP_CONFIG.types).forEach(([name, type]) => {
+            // No point dropping a life nobody can use
+            if (name === 'extraLife' && (mode.lives === false || state.lives >= POWER_UP_CONFIG.maxLives)) return;
+            weights[name] = type.weight;
+        });
+
+        const angle = random() * Math.PI * 2;
+        const speed = random() * POWER_UP_CONFIG.drift;
+
+        state.pickups.push({
+            type: pickWeighted(weights),
+            x, y,
+            vx: Math.cos(angle) * speed,
+            vy: Math.sin(angle) * speed,
+            expiresAt: state.gameTime + POWER_UP_CONFIG.lifetime
+        });
+    }
+
+    function updatePickups(deltaTime) {
+        const frames = deltaTime / REFERENCE_FRAME_TIME;
+        const cursors = getActiveCursors();
+
+        for (let i = state.pickups.length - 1; i >= 0; i--) {
+            const pickup = state.pickups[i];
+            pickup.x += pickup.vx * frames;
+            pickup.y += pickup.vy * frames;
+
+            // Touching is enough, no swipe needed
+            const reach = POWER_UP_CONFIG.radius + config.cursorRadius * getCursorScale();
+            const collector = cursors.find(cursor => Math.hypot(pickup.x - cursor.x, pickup.y - cursor.y) < reach);
+
+            if (collector) {
+                state.pickups.splice(i, 1);
+                activatePowerUp(pickup.type);
+                emit('explosion', { x: pickup.x, y: pickup.y, size: 15 });
+                emit('pickedUp', { pickup });
+            } else if (state.gameTime >= pickup.expiresAt) {
+                state.pickups.splice(i, 1);
+            }
+        }
+    }
+
+    function activatePowerUp(name) {
+        const type = POWER_UP_CONFIG.types[name];
+
+        if (name === 'extraLife') {
+            state.lives = Math.min(POWER_UP_CONFIG.maxLives, state.lives + 1);
+            emit('lifeGained', { lives: state.lives });
+            return;
+        }
+
+        state.powerUps[name] = state.gameTime + type.duration;
+        emit('powerUpsChanged');
+    }
+
+    function updatePowerUps(deltaTime) {
+        let changed = false;
+
+        Object.entries(state.powerUps).forEach(([name, expiresAt]) => {
+            if (state.gameTime >= expiresAt) {
+                delete state.powerUps[name];
+                changed = true;
+            } else if (Math.ceil((expiresAt - state.gameTime) / 1000) !==
+                Math.ceil((expiresAt - state.gameTime + deltaTime) / 1000)) {
+                // Countdown ticked over to the next second
+                changed = true;
+            }
+        });
+
+        if (changed) {
+            emit('powerUpsChanged');
+        }
+    }
+
+    function isPowerUpActive(name) {
+        return state.gameTime < (state.powerUps[name] || 0);
+    }
+
+    function getAsteroidTimeScale() {
+        return isPowerUpActive('slowMo') ? POWER_UP_CONFIG.types.slowMo.timeScale : 1;
+    }
+
+    return {
+        state,
+        config,
+        on,
+        step,
+        getActiveCursors,
+        getCursorSpeed,
+        getCursorScale,
+        getTarget,
+        getTimeLeft,
+        isShieldActive,
+        isPowerUpActive,
+        end
+    };
+}
+
+function distanceToSegment(px, py, ax, ay, bx, by) {
+    const dx = bx - ax;
+    const dy = by - ay;
+    const lengthSq = dx * dx + dy * dy;
+    const t = lengthSq ? Math.max(0, Math.min(1, ((px - ax) * dx + (py - ay) * dy) / lengthSq)) : 0;
+    return Math.hypot(px - (ax + t * dx), py - (ay + t * dy));
+}
@@ -2,50 +2,380 @@
  * 🚀 ASTEROID DESTROYER - Finger Control Game
  * Use your finger tracked via webcam to destroy asteroids!
  * Powered by MediaPipe Hands
+ *
+ * The rules of the game live in game-core.js and the cursor smoothing in
+ * cursor-filters.js; this file handles input, tracking, rendering, sound
+ * and the screens around it.
  */
+import {
+    CORE_CONFIG,
+    REFERENCE_FRAME_TIME,
+    WAVE_CONFIG,
+    POWER_UP_CONFIG,
+    GAME_MODES,
+    createGameCore,
+    createRng
+} from './game-core.js';
+import { createCursorFilter } from './cursor-filters.js';
 
 // ============================================
 // CONFIGURATION
 // ============================================
 const CONFIG = {
-    // Game settings
-    initialLives: 3,
-    baseAsteroidSpeed: 1.5,
-    asteroidSpawnInterval: 2000,
-    minSpawnInterval: 500,
-    difficultyRampTime: 30000,
-    cursorRadius: 60,
-    comboTimeout: 2000,
+    // Game settings (see CORE_CONFIG)
+    ...CORE_CONFIG,
+
+    // Simulation
+    maxFrameDelta: 250, // Clamp after the tab was in the background
 
     // Visual settings
     particleCount: 20,
     trailLength: 15,
 
+    // Accessibility
+    reducedMotion: 'auto', // 'auto' follows prefers-reduced-motion, or 'on'/'off'
+    screenShake: true,
+    palette: 'default', // Key of PALETTES
+    movementScale: 1, // Hand motion is multiplied by this around the screen center
+    audioCues: true, // Panned warning beep as each asteroid closes in
+    audioCueDistance: 300, // px from the target
+
+    // Pause
+    autoPauseDelay: 1500, // No hand for this long pauses the game (ms)
+    resumeCountdown: 3000,
+    palmHoldTime: 800, // Hold an open palm this long to toggle pause (ms)
+
+    // Gestures
+    gestureStableFrames: 4, // Frames a pose must hold before it counts
+    pinchEnter: 0.3, // Thumb-index distance / palm size to start a pinch
+    pinchExit: 0.45, // ...and to release it
+    fingerExtendEnter: 1.15, // Tip-wrist / joint-wrist ratio to count as extended
+    fingerExtendExit: 1.0,
+
     // Hand tracking
-    fingerSmoothing: 0.3
+    maxHands: 2,
+    useTrackingWorker: true, // Run inference off the main thread where supported
+    trackingBudget: 12, // ms of tracking work allowed per rendered frame, on average
+
+    // Cursor filtering (camera input only)
+    cursorFilter: 'oneEuro', // 'oneEuro', 'kalman', 'lerp' or 'none'
+    fingerSmoothing: 0.3, // Blend factor for the 'lerp' filter
+    oneEuroMinCutoff: 1.0, // Hz; lower is steadier when the hand is still
+    oneEuroBeta: 4.0, // Higher follows fast swipes with less lag
+    oneEuroDerivativeCutoff: 1.0, // Hz
+    latencyPrediction: true, // Predict ahead by the measured tracking latency
+    maxPredictionTime: 100, // ms
+    kalmanProcessNoise: 40, // Acceleration noise, (screens/s²)²
+    kalmanMeasurementNoise: 0.00003, // Position noise, screens²
+    gapFillFrames: 3, // Dropped frames bridged by extrapolation
+
+    // Ball tracking
+    ballTolerance: 20,
+    minBlobSize: 25,
+
+    // Calibration
+    calibrationHoldTime: 1200, // Hold still on a corner this long (ms)
+    calibrationHoldRadius: 0.03, // ...within this distance (normalized)
+    defaultDeadZone: 0.05, // Outer margin of the hand region that pins to the screen edge
+
+    // Other input
+    keyboardCursorSpeed: 900, // px per second
+    cameraFallbackDelay: 5000 // Switch to mouse/touch after camera denial (ms)
+};
+
+// Preset ball colors for the start screen (HSV, hue in degrees)
+const BALL_PRESETS = {
+    red: { label: 'Red', color: '#ff3b3b', h: 0, s: 0.75, v: 0.75 },
+    orange: { label: 'Orange', color: '#ff8c1a', h: 28, s: 0.8, v: 0.85 },
+    yellow: { label: 'Yellow', color: '#ffe019', h: 55, s: 0.75, v: 0.85 },
+    green: { label: 'Green', color: '#2ee65c', h: 130, s: 0.65, v: 0.7 },
+    blue: { label: 'Blue', color: '#2e7dff', h: 215, s: 0.75, v: 0.75 },
+    pink: { label: 'Pink', color: '#ff3bc4', h: 320, s: 0.65, v: 0.85 }
+};
+
+// Which action each hand gesture triggers. holdTime is how long the
+// gesture must be held before the action fires (ms). The palm's is read
+// from CONFIG each time, so the setting and its URL override apply.
+const GESTURE_BINDINGS = {
+    pinch: { action: 'bomb', holdTime: 0 },
+    fist: { action: 'shield', holdTime: 150 },
+    openPalm: {
+        action: 'pause',
+        get holdTime() {
+            return CONFIG.palmHoldTime;
+        }
+    },
+    victory: null
+};
+
+// One cursor per tracked hand. In co-op the right hand is player 1 and
+// the left hand player 2.
+const HAND_SLOTS = [
+    { handedness: 'Right', label: 'P1', color: '255, 0, 255' },
+    { handedness: 'Left', label: 'P2', color: '255, 200, 0' }
+];
+
+// MediaPipe is loaded on demand from this base path, laid out like the
+// npm packages (hands/ for the main thread, tasks-vision/ for the worker)
+// plus models/. Set with <meta name="mediapipe-base">. When the files
+// aren't there (vendor/ not fetched on this deploy), the pinned CDN builds
+// are used instead; keep their versions in sync with fetch-vendor.sh.
+const ASSET_CONFIG = {
+    mediapipeBase: (readMetaContent('mediapipe-base') || 'vendor/mediapipe').replace(/\/?$/, '/'),
+    mediapipeFallback: 'https://cdn.jsdelivr.net/npm/@mediapipe/hands@0.4.1675469240/',
+    mediapipeScripts: ['hands.js'],
+    tasksVisionFallback: 'https://cdn.jsdelivr.net/npm/@mediapipe/tasks-vision@0.10.14/',
+    handModel: 'models/hand_landmarker.task',
+    handModelFallback: 'https://storage.googleapis.com/mediapipe-models/hand_landmarker/hand_landmarker/float16/1/hand_landmarker.task',
+    noticeDuration: 8000 // ms a notice banner stays up
+};
+
+// Webcam capture options offered in settings. These are "ideal" values;
+// the camera picks the closest mode it supports.
+const CAMERA_RESOLUTIONS = {
+    low: { label: '320 × 240', width: 320, height: 240 },
+    medium: { label: '640 × 480', width: 640, height: 480 },
+    hd: { label: '1280 × 720', width: 1280, height: 720 },
+    fullHd: { label: '1920 × 1080', width: 1920, height: 1080 }
+};
+const CAMERA_FRAME_RATES = [15, 30, 60];
+const CAMERA_DEFAULTS = {
+    deviceId: null, // null = the browser's default front camera
+    resolution: 'medium',
+    frameRate: 30,
+    mirror: true // Selfie view; turn off for cameras facing the same way as the player
+};
+
+const LEADERBOARD_CONFIG = {
+    size: 10, // Runs kept
+    nameMaxLength: 12,
+    defaultName: 'PLAYER'
+};
+
+// Achievements are checked whenever the core event named by `on` fires in
+// a live round (never in replays); 'step' is checked after every
+// simulation step. check(sim, detail, run) gets the core's state, the
+// event detail and this round's counters (see trackAchievements).
+// needsLives skips the check in modes without lives, where there is
+// nothing to survive.
+const ACHIEVEMENTS = {
+    firstContact: {
+        icon: '☄️', title: 'First Contact', description: 'Destroy your first asteroid',
+        on: 'destroyed', check: sim => sim.stats.destroyed >= 1
+    },
+    comboMaster: {
+        icon: '🔥', title: 'Combo Master', description: 'Reach a x10 combo',
+        on: 'destroyed', check: (sim, { player }) => player.combo >= 10
+    },
+    survivor: {
+        icon: '⏱️', title: 'Survivor', description: 'Survive for 2 minutes',
+        on: 'step', needsLives: true, check: sim => sim.gameTime >= 2 * 60 * 1000
+    },
+    centurion: {
+        icon: '💯', title: 'Centurion', description: 'Destroy 100 asteroids in one run',
+        on: 'destroyed', check: sim => sim.stats.destroyed >= 100
+    },
+    untouchable: {
+        icon: '🛡️', title: 'Untouchable', description: 'Clear a wave without losing a life',
+        on: 'waveCleared', needsLives: true, check: (sim, detail, run) => run.livesLostThisWave === 0
+    },
+    giantSlayer: {
+        icon: '👾', title: 'Giant Slayer', description: 'Destroy a boss',
+        on: 'destroyed', check: (sim, { asteroid }) => asteroid.boss
+    },
+    collector: {
+        icon: '🎁', title: 'Collector', description: 'Collect 5 power-ups in one run',
+        on: 'pickedUp', check: (sim, detail, run) => run.pickups >= 5
+    },
+    deepSpace: {
+        icon: '🌌', title: 'Deep Space', description: 'Reach wave 10',
+        on: 'waveStarted', check: (sim, { wave }) => wave.number >= 10
+    },
+    sharpshooter: {
+        icon: '🎯', title: 'Sharpshooter', description: 'Finish a run of 50+ swipes with 80% accuracy',
+        on: 'gameOver', check: ({ stats }) => stats.swipes >= 50 && stats.swipeHits / stats.swipes >= 0.8
+    },
+    veteran: {
+        icon: '🎖️', title: 'Veteran', description: 'Play 25 games',
+        on: 'gameOver', check: () => state.progress.stats.gamesPlayed >= 25
+    }
+};
+
+const TOAST_DURATION = 4000; // ms an achievement toast stays up
+
+// Daily challenges play one of these, taking turns day by day. Challenges
+// always run on the CORE_CONFIG defaults plus the modifier, whatever the
+// local settings say, so every player faces the same rules.
+const CHALLENGE_MODIFIERS = {
+    doubleSpeed: { label: '⏩ Double speed', config: { baseAsteroidSpeed: CORE_CONFIG.baseAsteroidSpeed * 2 } },
+    tinyCursor: { label: '🤏 Tiny cursor', config: { cursorRadius: 30, slashRadius: 12 } },
+    oneLife: { label: '💔 One life', config: { initialLives: 1 } },
+    noBombs: { label: '🚫 No bombs', config: { bombCharges: 0 } },
+    quickCombos: { label: '⚡ Quick combos', config: { comboTimeout: 1000 } }
+};
+
+const CHALLENGE_CONFIG = {
+    seedMaxLength: 12, // Custom seeds are letters and digits
+    resultsKept: 30 // Best scores remembered for comparing share codes
+};
+
+// CONFIG as written above, before saved settings or URL overrides
+const CONFIG_DEFAULTS = { ...CONFIG };
+
+// CONFIG values editable on the settings screen, by group. Numbers are
+// clamped to [min, max] and snapped to `step`; `choices` lists the allowed
+// values of a string setting. The fixed timestep stays out of reach.
+const CONFIG_SETTINGS = {
+    gameplay: {
+        label: '🎮 Gameplay',
+        settings: {
+            initialLives: { label: 'Lives', min: 1, max: 9, step: 1 },
+            baseAsteroidSpeed: { label: 'Asteroid speed', min: 0.5, max: 4, step: 0.1, unit: '×' },
+            minSpawnInterval: { label: 'Fastest spawn interval', min: 200, max: 2000, step: 50, unit: 'ms' },
+            cursorRadius: { label: 'Cursor size', min: 20, max: 150, step: 5, unit: 'px' },
+            comboTimeout: { label: 'Combo window', min: 500, max: 5000, step: 100, unit: 'ms' },
+            slashMinSpeed: { label: 'Slash speed', min: 200, max: 1500, step: 50, unit: 'px/s' },
+            slashSpeedPerDamage: { label: 'Extra slash damage every', min: 300, max: 2000, step: 50, unit: 'px/s' },
+            maxSlashDamage: { label: 'Max slash damage', min: 1, max: 5, step: 1 },
+            slashRadius: { label: 'Slash width', min: 10, max: 80, step: 5, unit: 'px' },
+            swipeSampleSteps: { label: 'Swipe sample steps', min: 2, max: 10, step: 1 },
+            bombCharges: { label: 'Bombs', min: 0, max: 9, step: 1 },
+            bombRadius: { label: 'Bomb radius', min: 100, max: 500, step: 10, unit: 'px' },
+            bombDamage: { label: 'Bomb damage', min: 1, max: 10, step: 1 },
+            shieldDuration: { label: 'Shield duration', min: 1000, max: 10000, step: 500, unit: 'ms' },
+            shieldCooldown: { label: 'Shield cooldown', min: 2000, max: 30000, step: 1000, unit: 'ms' },
+            shieldRadius: { label: 'Shield radius', min: 60, max: 300, step: 10, unit: 'px' },
+            autoPauseDelay: { label: 'Auto-pause after', min: 500, max: 5000, step: 100, unit: 'ms' },
+            resumeCountdown: { label: 'Resume countdown', min: 0, max: 5000, step: 500, unit: 'ms' },
+            palmHoldTime: { label: 'Palm hold to pause', min: 300, max: 3000, step: 100, unit: 'ms' },
+            keyboardCursorSpeed: { label: 'Keyboard cursor speed', min: 300, max: 2000, step: 50, unit: 'px/s' }
+        }
+    },
+    visuals: {
+        label: '✨ Visuals',
+        settings: {
+            particleCount: { label: 'Explosion particles', min: 0, max: 60, step: 1 },
+            trailLength: { label: 'Cursor trail', min: 2, max: 40, step: 1 }
+        }
+    },
+    accessibility: {
+        label: '♿ Accessibility',
+        settings: {
+            reducedMotion: { label: 'Reduced motion', choices: { auto: 'Follow system', on: 'On', off: 'Off' } },
+            screenShake: { label: 'Screen shake' },
+            palette: { label: 'Colors', choices: { default: 'Default', highContrast: 'High contrast', colorblind: 'Colorblind-safe' } },
+            movementScale: { label: 'Small movement: hand motion', min: 1, max: 3, step: 0.1, unit: '×' },
+            audioCues: { label: 'Spatial audio cues for incoming asteroids' },
+            audioCueDistance: { label: 'Audio cue distance', min: 100, max: 600, step: 25, unit: 'px' }
+        }
+    },
+    tracking: {
+        label: '🖐️ Tracking',
+        settings: {
+            maxHands: { label: 'Hands tracked (after reload)', min: 1, max: 2, step: 1 },
+            useTrackingWorker: { label: 'Track in a background worker (hands: after reload)' },
+            trackingBudget: { label: 'Tracking budget per frame', min: 4, max: 30, step: 1, unit: 'ms' },
+            cursorFilter: { label: 'Cursor filter', choices: { oneEuro: 'One Euro', kalman: 'Kalman', lerp: 'Lerp', none: 'None' } },
+            fingerSmoothing: { label: 'Lerp smoothing', min: 0.05, max: 1, step: 0.05 },
+            oneEuroMinCutoff: { label: 'One Euro min cutoff', min: 0.1, max: 5, step: 0.1, unit: 'Hz' },
+            oneEuroBeta: { label: 'One Euro beta', min: 0, max: 20, step: 0.5 },
+            oneEuroDerivativeCutoff: { label: 'One Euro derivative cutoff', min: 0.1, max: 5, step: 0.1, unit: 'Hz' },
+            kalmanProcessNoise: { label: 'Kalman process noise', min: 1, max: 200, step: 1 },
+            kalmanMeasurementNoise: { label: 'Kalman measurement noise', min: 0.00001, max: 0.0005, step: 0.00001 },
+            latencyPrediction: { label: 'Predict ahead by tracking latency' },
+            maxPredictionTime: { label: 'Max prediction', min: 0, max: 200, step: 10, unit: 'ms' },
+            gapFillFrames: { label: 'Dropped frames bridged', min: 0, max: 10, step: 1 },
+            minBlobSize: { label: 'Min ball size', min: 5, max: 200, step: 5 },
+            gestureStableFrames: { label: 'Gesture hold frames', min: 1, max: 10, step: 1 },
+            pinchEnter: { label: 'Pinch start', min: 0.1, max: 0.6, step: 0.05 },
+            pinchExit: { label: 'Pinch release', min: 0.2, max: 0.8, step: 0.05 },
+            fingerExtendEnter: { label: 'Finger extended', min: 1, max: 1.5, step: 0.05 },
+            fingerExtendExit: { label: 'Finger curled', min: 0.8, max: 1.3, step: 0.05 },
+            calibrationHoldTime: { label: 'Calibration hold', min: 500, max: 3000, step: 100, unit: 'ms' },
+            calibrationHoldRadius: { label: 'Calibration hold radius', min: 0.01, max: 0.1, step: 0.005 },
+            defaultDeadZone: { label: 'Default dead zone', min: 0, max: 0.2, step: 0.01 },
+            cameraFallbackDelay: { label: 'Fall back from a denied camera after', min: 1000, max: 15000, step: 500, unit: 'ms' }
+        }
+    }
 };
 
+// Difficulty presets. Keys a preset leaves out keep their default.
+const CONFIG_PRESETS = {
+    easy: {
+        label: '🌱 Easy',
+        values: { initialLives: 5, baseAsteroidSpeed: 1.1, minSpawnInterval: 800, cursorRadius: 75, comboTimeout: 2500, slashMinSpeed: 450, bombCharges: 5 }
+    },
+    normal: {
+        label: '⚖️ Normal',
+        values: {}
+    },
+    hard: {
+        label: '🔥 Hard',
+        values: { initialLives: 2, baseAsteroidSpeed: 2, minSpawnInterval: 350, cursorRadius: 50, comboTimeout: 1500, slashMinSpeed: 750, bombCharges: 2 }
+    }
+};
+
+// Combinations that break hysteresis; a change that violates one is refused
+const CONFIG_RULES = [
+    {
+        keys: ['pinchEnter', 'pinchExit'],
+        check: config => config.pinchEnter < config.pinchExit,
+        message: 'Pinch release must be higher than pinch start.'
+    },
+    {
+        keys: ['fingerExtendEnter', 'fingerExtendExit'],
+        check: config => config.fingerExtendExit < config.fingerExtendEnter,
+        message: 'Finger curled must be lower than finger extended.'
+    }
+];
+
+// Saved settings and URL overrides replace the defaults before anything
+// reads CONFIG
+const configOverrides = loadConfigOverrides(); // { saved, url }
+Object.assign(CONFIG, getEffectiveConfig());
+
 // ============================================
 // GAME STATE
 // ============================================
 const state = {
     isPlaying: false,
-    score: 0,
-    highScore: parseInt(localStorage.getItem('asteroidHighScore')) || 0,
-    lives: CONFIG.initialLives,
-    combo: 1,
-    lastDestroyTime: 0,
-    fingerPosition: { x: 0, y: 0, detected: false },
-    positionHistory: [],
-    asteroids: [],
+    highScore: 0, // Top leaderboard score in the mode being played
+    mode: loadGameMode(), // Key of GAME_MODES for the next round
+    leaderboard: [],
+    lastEntryId: null, // Leaderboard entry of the run that just ended
+    progress: null, // { stats, unlocked }, see ACHIEVEMENTS & LIFETIME STATS
+    achievementRun: null, // Counters for this round's achievements
+    challenge: null, // Challenge of the current or last round, see createChallenge
+    isPaused: false,
+    pauseReason: null,
+    resumeCountdown: 0,
+    lastDetectedTime: 0,
+    frameSentAt: 0,
+    trackingLatency: 0, // Smoothed camera-to-result delay (ms)
+    pendingActions: [], // Gesture actions for the next simulation step
+    bombBlasts: [],
+    recording: null, // Inputs of the game in progress
+    lastRecording: null, // Kept for "watch replay" on the game over screen
+    replay: null, // { recording, frameIndex } while watching a replay
+    cursors: HAND_SLOTS.map((_, slot) => createCursor(slot)),
     particles: [],
     screenShake: { x: 0, y: 0, intensity: 0 },
-    gameTime: 0,
-    lastSpawnTime: 0,
-    handsReady: false,
-    debugMode: true
+    debugMode: true,
+    inputProvider: 'hands', // Key of INPUT_PROVIDERS
+    calibration: loadCalibration(), // { matrix, deadZone } or null
+    calibrationSkipped: localStorage.getItem('asteroidCalibrationSkipped') === 'true',
+    calibrating: null, // Progress of a running calibration
+    fallbackTimer: null,
+    ballTarget: { ...BALL_PRESETS.red },
+    ballTolerance: CONFIG.ballTolerance,
+    isSampling: false,
+    camera: loadCameraSettings() // See CAMERA_DEFAULTS
 };
 
+// The round being played or replayed: score, lives, waves and everything
+// else the rules decide. See createGameCore in game-core.js.
+let game = null;
+
 // ============================================
 // DOM ELEMENTS
 // ============================================
@@ -58,16 +388,112 @@ const elements = {
     cameraErrorScreen: document.getElementById('cameraErrorScreen'),
     scoreDisplay: document.getElementById('scoreDisplay'),
     comboDisplay: document.getElementById('comboDisplay'),
+    waveDisplay: document.getElementById('waveDisplay'),
+    scoreLabel: document.getElementById('scoreLabel'),
+    comboLabel: document.getElementById('comboLabel'),
+    p2ScoreItem: document.getElementById('p2ScoreItem'),
+    p2ComboItem: document.getElementById('p2ComboItem'),
+    p2ScoreDisplay: document.getElementById('p2ScoreDisplay'),
+    p2ComboDisplay: document.getElementById('p2ComboDisplay'),
+    coopToggle: document.getElementById('coopToggle'),
+    finalBreakdown: document.getElementById('finalBreakdown'),
+    watchReplayBtn: document.getElementById('watchReplayBtn'),
+    exportReplayBtn: document.getElementById('exportReplayBtn'),
+    loadReplayBtn: document.getElementById('loadReplayBtn'),
+    replayFileInput: document.getElementById('replayFileInput'),
+    replayBadge: document.getElementById('replayBadge'),
+    bombDisplay: document.getElementById('bombDisplay'),
+    shieldDisplay: document.getElementById('shieldDisplay'),
     highScoreDisplay: document.getElementById('highScoreDisplay'),
     livesPanel: document.getElementById('livesPanel'),
+    announcer: document.getElementById('announcer'),
+    timeItem: document.getElementById('timeItem'),
+    timeDisplay: document.getElementById('timeDisplay'),
+    modeOptions: document.getElementById('modeOptions'),
+    modeDescription: document.getElementById('modeDescription'),
+    endRunBtn: document.getElementById('endRunBtn'),
+    powerUpPanel: document.getElementById('powerUpPanel'),
     finalScore: document.getElementById('finalScore'),
     newHighScore: document.getElementById('newHighScore'),
     startBtn: document.getElementById('startBtn'),
     restartBtn: document.getElementById('restartBtn'),
     retryBtn: document.getElementById('retryBtn'),
+    pauseScreen: document.getElementById('pauseScreen'),
+    pauseReason: document.getElementById('pauseReason'),
+    resumeBtn: document.getElementById('resumeBtn'),
+    noticeBanner: document.getElementById('noticeBanner'),
+    startTabs: document.querySelectorAll('.start-tab'),
+    playTab: document.getElementById('playTab'),
+    leaderboardTab: document.getElementById('leaderboardTab'),
+    statsTab: document.getElementById('statsTab'),
+    lifetimeStats: document.getElementById('lifetimeStats'),
+    achievementList: document.getElementById('achievementList'),
+    resetProgressBtn: document.getElementById('resetProgressBtn'),
+    toastStack: document.getElementById('toastStack'),
+    challengeTab: document.getElementById('challengeTab'),
+    dailyChallengeInfo: document.getElementById('dailyChallengeInfo'),
+    dailyChallengeBtn: document.getElementById('dailyChallengeBtn'),
+    customSeedInput: document.getElementById('customSeedInput'),
+    customSeedBtn: document.getElementById('customSeedBtn'),
+    shareCodeInput: document.getElementById('shareCodeInput'),
+    compareCodeBtn: document.getElementById('compareCodeBtn'),
+    compareResult: document.getElementById('compareResult'),
+    playCodeChallengeBtn: document.getElementById('playCodeChallengeBtn'),
+    challengeResult: document.getElementById('challengeResult'),
+    challengeLabel: document.getElementById('challengeLabel'),
+    shareCodeOutput: document.getElementById('shareCodeOutput'),
+    copyShareCodeBtn: document.getElementById('copyShareCodeBtn'),
+    startLeaderboard: document.getElementById('startLeaderboard'),
+    exportLeaderboardBtn: document.getElementById('exportLeaderboardBtn'),
+    importLeaderboardBtn: document.getElementById('importLeaderboardBtn'),
+    leaderboardFileInput: document.getElementById('leaderboardFileInput'),
+    gameOverLeaderboard: document.getElementById('gameOverLeaderboard'),
+    nameEntry: document.getElementById('nameEntry'),
+    playerNameInput: document.getElementById('playerNameInput'),
+    saveNameBtn: document.getElementById('saveNameBtn'),
+    settingsBtn: document.getElementById('settingsBtn'),
+    settingsScreen: document.getElementById('settingsScreen'),
+    settingsCloseBtn: document.getElementById('settingsCloseBtn'),
+    pauseSettingsBtn: document.getElementById('pauseSettingsBtn'),
+    cameraSelect: document.getElementById('cameraSelect'),
+    resolutionSelect: document.getElementById('resolutionSelect'),
+    frameRateSelect: document.getElementById('frameRateSelect'),
+    mirrorToggle: document.getElementById('mirrorToggle'),
+    configPresets: document.getElementById('configPresets'),
+    configUrlHint: document.getElementById('configUrlHint'),
+    configSettings: document.getElementById('configSettings'),
+    configError: document.getElementById('configError'),
+    resetConfigBtn: document.getElementById('resetConfigBtn'),
+    perfStatsToggle: document.getElementById('perfStatsToggle'),
+    perfStats: document.getElementById('perfStats'),
+    masterVolume: document.getElementById('masterVolume'),
+    masterVolumeValue: document.getElementById('masterVolumeValue'),
+    sfxVolume: document.getElementById('sfxVolume'),
+    sfxVolumeValue: document.getElementById('sfxVolumeValue'),
+    musicVolume: document.getElementById('musicVolume'),
+    musicVolumeValue: document.getElementById('musicVolumeValue'),
+    muteToggle: document.getElementById('muteToggle'),
     starsContainer: document.getElementById('starsContainer'),
     webcamContainer: document.getElementById('webcamContainer'),
-    loadingHint: document.getElementById('loadingHint')
+    loadingHint: document.getElementById('loadingHint'),
+    inputOptions: document.getElementById('inputOptions'),
+    colorOptions: document.getElementById('colorOptions'),
+    mouseFallbackBtn: document.getElementById('mouseFallbackBtn'),
+    calibrationScreen: document.getElementById('calibrationScreen'),
+    calibrationTarget: document.getElementById('calibrationTarget'),
+    calibrationDot: document.getElementById('calibrationDot'),
+    calibrationStep: document.getElementById('calibrationStep'),
+    deadZoneSlider: document.getElementById('deadZoneSlider'),
+    deadZoneValue: document.getElementById('deadZoneValue'),
+    skipCalibrationBtn: document.getElementById('skipCalibrationBtn'),
+    recalibrateBtn: document.getElementById('recalibrateBtn'),
+    settingsRecalibrateActions: document.getElementById('settingsRecalibrateActions'),
+    settingsRecalibrateBtn: document.getElementById('settingsRecalibrateBtn'),
+    fallbackCountdown: document.getElementById('fallbackCountdown'),
+    ballSettings: document.getElementById('ballSettings'),
+    samplePreview: document.getElementById('samplePreview'),
+    toleranceSlider: document.getElementById('toleranceSlider'),
+    toleranceValue: document.getElementById('toleranceValue')
 };
 
 // Canvas contexts
@@ -79,16 +505,58 @@ const trackingCtx = elements.trackingCanvas.getContext('2d');
 // ============================================
 function init() {
     console.log('🚀 Asteroid Destroyer initializing...');
+    registerServiceWorker();
     resizeCanvas();
     createStars();
+    createModeOptions();
+    createInputOptions();
+    createColorOptions();
+    createCameraSettings();
+    createConfigSettings();
+    setPerfStatsVisible(perfStats.visible);
+    applyAccessibilitySettings();
+    state.leaderboard = loadLeaderboard();
+    state.highScore = getHighScore(state.mode);
+    renderLeaderboard(elements.startLeaderboard, null);
     updateHighScoreDisplay();
+    state.progress = loadProgress();
+    renderProgress();
     setupEventListeners();
 
     // Hide webcam container initially
     elements.webcamContainer.style.display = 'none';
 }
 
+function readMetaContent(name) {
+    const meta = document.querySelector(`meta[name="${name}"]`);
+    return meta ? meta.content : null;
+}
+
+// Lets the game install and run offline after the first load
+function registerServiceWorker() {
+    if (!('serviceWorker' in navigator) || location.protocol === 'file:') return;
+
+    navigator.serviceWorker.register('sw.js')
+        .then(() => console.log('📦 Service worker registered'))
+        .catch(err => console.warn('⚠️ Service worker registration failed:', err));
+}
+
+let noticeTimer = null;
+
+function showNotice(message) {
+    elements.noticeBanner.textContent = message;
+    elements.noticeBanner.classList.remove('hidden');
+
+    clearTimeout(noticeTimer);
+    noticeTimer = setTimeout(() => {
+        elements.noticeBanner.classList.add('hidden');
+    }, ASSET_CONFIG.noticeDuration);
+}
+
 function resizeCanvas() {
+    // Replays run at the recorded world size
+    if (state.replay) return;
+
     elements.gameCanvas.width = window.innerWidth;
     elements.gameCanvas.height = window.innerHeight;
     elements.trackingCanvas.width = 320;
@@ -111,753 +579,4165 @@ function createStars() {
     }
 }
 
-function setupEventListeners() {
-    window.addEventListener('resize', resizeCanvas);
-
-    elements.startBtn.addEventListener('click', startGame);
-    elements.restartBtn.addEventListener('click', startGame);
-    elements.retryBtn.addEventListener('click', () => {
-        elements.cameraErrorScreen.classList.add('hidden');
-        elements.startScreen.classList.remove('hidden');
+// Adds a .color-btn to a group where exactly one button is active
+function addOptionButton(container, label, color, onSelect) {
+    const btn = document.createElement('button');
+    btn.className = 'color-btn';
+    btn.textContent = label;
+    btn.style.setProperty('--btn-color', color);
+    btn.addEventListener('click', () => {
+        container.querySelectorAll('.color-btn').forEach(b => b.classList.remove('active'));
+        btn.classList.add('active');
+        onSelect(btn);
     });
+    container.appendChild(btn);
+    return btn;
 }
 
-// ============================================
-// WEBCAM & HAND TRACKING
-// ============================================
-async function initWebcam() {
-    console.log('📷 Initializing webcam...');
-
-    try {
-        const stream = await navigator.mediaDevices.getUserMedia({
-            video: {
-                width: { ideal: 640 },
-                height: { ideal: 480 },
-                facingMode: 'user'
-            }
-        });
+function createModeOptions() {
+    const container = elements.modeOptions;
+    container.innerHTML = '';
 
-        elements.webcamVideo.srcObject = stream;
-        elements.webcamContainer.style.display = 'block';
+    Object.entries(GAME_MODES).forEach(([id, mode]) => {
+        const btn = addOptionButton(container, mode.label, mode.color, () => selectGameMode(id));
+        if (id === state.mode) {
+            btn.classList.add('active');
+        }
+    });
+    elements.modeDescription.textContent = GAME_MODES[state.mode].description;
+    elements.coopToggle.disabled = Boolean(GAME_MODES[state.mode].solo);
+}
 
-        await new Promise((resolve, reject) => {
-            elements.webcamVideo.onloadedmetadata = () => {
-                console.log('✅ Webcam metadata loaded');
-                elements.webcamVideo.play();
-                resolve();
-            };
-            elements.webcamVideo.onerror = reject;
-        });
+function loadGameMode() {
+    const saved = localStorage.getItem('asteroidMode');
+    return Object.hasOwn(GAME_MODES, saved) ? saved : 'classic';
+}
 
-        console.log('✅ Webcam ready, video dimensions:',
-            elements.webcamVideo.videoWidth, 'x', elements.webcamVideo.videoHeight);
+// The leaderboard and HIGH follow the selected mode
+function selectGameMode(id) {
+    state.mode = id;
+    localStorage.setItem('asteroidMode', id);
+    elements.modeDescription.textContent = GAME_MODES[id].description;
+    elements.coopToggle.disabled = Boolean(GAME_MODES[id].solo);
 
-        return true;
-    } catch (err) {
-        console.error('❌ Webcam error:', err);
-        return false;
-    }
+    state.highScore = getHighScore(id);
+    updateHighScoreDisplay();
+    renderLeaderboard(elements.startLeaderboard, null);
 }
 
-async function initHandTracking() {
-    console.log('🖐️ Initializing MediaPipe Hands...');
-
-    if (elements.loadingHint) {
-        elements.loadingHint.style.display = 'block';
-    }
+function createInputOptions() {
+    const container = elements.inputOptions;
+    container.innerHTML = '';
 
-    try {
-        // Check if Hands is available
-        if (typeof Hands === 'undefined') {
-            console.error('❌ MediaPipe Hands not loaded!');
-            throw new Error('MediaPipe Hands not loaded');
+    Object.entries(INPUT_PROVIDERS).forEach(([id, provider]) => {
+        const btn = addOptionButton(container, provider.label, provider.color, () => selectInputProvider(id));
+        btn.dataset.provider = id;
+        if (id === state.inputProvider) {
+            btn.classList.add('active');
         }
+    });
+}
 
-        const hands = new Hands({
-            locateFile: (file) => {
-                console.log('📦 Loading MediaPipe file:', file);
-                return `https://cdn.jsdelivr.net/npm/@mediapipe/hands/${file}`;
-            }
-        });
+function createColorOptions() {
+    const container = elements.colorOptions;
+    container.innerHTML = '';
 
-        hands.setOptions({
-            maxNumHands: 1,
-            modelComplexity: 0, // Use simpler model for faster loading
-            minDetectionConfidence: 0.5,
-            minTrackingConfidence: 0.5
+    Object.values(BALL_PRESETS).forEach((preset, i) => {
+        const btn = addOptionButton(container, preset.label, preset.color, () => {
+            state.ballTarget = { ...preset };
+            stopColorSampling();
         });
+        if (i === 0) {
+            btn.classList.add('active');
+        }
+    });
 
-        hands.onResults((results) => {
-            onHandResults(results);
-        });
+    addOptionButton(container, '🎯 Sample', '#ffffff', (btn) => startColorSampling(btn));
+}
+
+function setupEventListeners() {
+    window.addEventListener('resize', resizeCanvas);
 
-        // Initialize camera
-        if (typeof Camera === 'undefined') {
-            console.error('❌ Camera utils not loaded!');
-            throw new Error('Camera utils not loaded');
+    elements.toleranceSlider.value = state.ballTolerance;
+    elements.toleranceValue.textContent = state.ballTolerance;
+    elements.toleranceSlider.addEventListener('input', () => {
+        state.ballTolerance = parseInt(elements.toleranceSlider.value);
+        elements.toleranceValue.textContent = state.ballTolerance;
+    });
+    elements.samplePreview.addEventListener('click', sampleColorAt);
+
+    elements.startBtn.addEventListener('click', () => startGame());
+    elements.restartBtn.addEventListener('click', () => startGame(state.challenge));
+    elements.dailyChallengeBtn.addEventListener('click', () => {
+        startGame(createChallenge(getDailyChallengeId(new Date())));
+    });
+    elements.customSeedBtn.addEventListener('click', () => {
+        const challenge = createChallenge(`S${cleanSeed(elements.customSeedInput.value)}`);
+        if (challenge) {
+            startGame(challenge);
+        } else {
+            elements.customSeedInput.focus();
         }
+    });
+    elements.customSeedInput.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') {
+            elements.customSeedBtn.click();
+        }
+    });
+    elements.compareCodeBtn.addEventListener('click', () => compareShareCode(elements.shareCodeInput.value));
+    elements.shareCodeInput.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') {
+            elements.compareCodeBtn.click();
+        }
+    });
+    elements.playCodeChallengeBtn.addEventListener('click', () => {
+        startGame(createChallenge(elements.playCodeChallengeBtn.dataset.challenge));
+    });
+    elements.copyShareCodeBtn.addEventListener('click', copyShareCode);
+    elements.retryBtn.addEventListener('click', () => {
+        cancelCameraFallback();
+        elements.cameraErrorScreen.classList.add('hidden');
+        elements.startScreen.classList.remove('hidden');
+    });
+    elements.mouseFallbackBtn.addEventListener('click', startWithPointerFallback);
 
-        const camera = new Camera(elements.webcamVideo, {
-            onFrame: async () => {
-                if (state.handsReady) {
-                    await hands.send({ image: elements.webcamVideo });
-                }
-            },
-            width: 640,
-            height: 480
+    elements.recalibrateBtn.addEventListener('click', recalibrate);
+    elements.settingsRecalibrateBtn.addEventListener('click', () => {
+        elements.settingsScreen.classList.add('hidden');
+        recalibrate();
+    });
+    elements.skipCalibrationBtn.addEventListener('click', () => finishCalibration(false));
+    elements.deadZoneSlider.addEventListener('input', () => {
+        setDeadZone(parseInt(elements.deadZoneSlider.value) / 100);
+    });
+    elements.resumeBtn.addEventListener('click', resumeGame);
+    elements.endRunBtn.addEventListener('click', () => game.end());
+
+    [elements.settingsBtn, elements.pauseSettingsBtn].forEach(btn => {
+        btn.addEventListener('click', () => {
+            updateCameraOptions();
+            // Calibration takes over the screen, so only between rounds
+            elements.settingsRecalibrateActions.classList.toggle('hidden', state.isPlaying);
+            elements.settingsScreen.classList.remove('hidden');
+        });
+    });
+    elements.cameraSelect.addEventListener('change', () => {
+        setCameraSetting('deviceId', elements.cameraSelect.value || null);
+    });
+    elements.resolutionSelect.addEventListener('change', () => {
+        setCameraSetting('resolution', elements.resolutionSelect.value);
+    });
+    elements.frameRateSelect.addEventListener('change', () => {
+        setCameraSetting('frameRate', parseInt(elements.frameRateSelect.value));
+    });
+    elements.mirrorToggle.addEventListener('change', () => {
+        setCameraSetting('mirror', elements.mirrorToggle.checked);
+    });
+    elements.resetConfigBtn.addEventListener('click', resetConfigSettings);
+    elements.perfStatsToggle.addEventListener('change', () => {
+        setPerfStatsVisible(elements.perfStatsToggle.checked);
+    });
+    if (navigator.mediaDevices && navigator.mediaDevices.addEventListener) {
+        navigator.mediaDevices.addEventListener('devicechange', updateCameraOptions);
+    }
+    elements.settingsCloseBtn.addEventListener('click', () => {
+        elements.settingsScreen.classList.add('hidden');
+    });
+    ['master', 'sfx', 'music'].forEach(key => {
+        elements[`${key}Volume`].addEventListener('input', () => {
+            setAudioSetting(key, parseInt(elements[`${key}Volume`].value) / 100);
         });
+    });
+    elements.muteToggle.addEventListener('change', () => {
+        setAudioSetting('muted', elements.muteToggle.checked);
+    });
+    applyAudioSettings();
 
-        await camera.start();
-        state.handsReady = true;
+    elements.watchReplayBtn.addEventListener('click', () => {
+        if (state.lastRecording) {
+            startReplay(state.lastRecording);
+        }
+    });
+    elements.exportReplayBtn.addEventListener('click', () => {
+        if (state.lastRecording) {
+            exportReplay(state.lastRecording);
+        }
+    });
+    elements.startTabs.forEach(tab => {
+        tab.addEventListener('click', () => showStartTab(tab.dataset.tab));
+    });
+    elements.saveNameBtn.addEventListener('click', () => {
+        renameLeaderboardEntry(state.lastEntryId, elements.playerNameInput.value);
+        elements.nameEntry.classList.add('hidden');
+    });
+    elements.playerNameInput.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') {
+            elements.saveNameBtn.click();
+        }
+    });
+    elements.exportLeaderboardBtn.addEventListener('click', exportLeaderboard);
+    elements.resetProgressBtn.addEventListener('click', () => {
+        if (confirm('Reset all achievements and lifetime stats?')) {
+            resetProgress();
+        }
+    });
+    elements.importLeaderboardBtn.addEventListener('click', () => elements.leaderboardFileInput.click());
+    elements.leaderboardFileInput.addEventListener('change', async () => {
+        const file = elements.leaderboardFileInput.files[0];
+        elements.leaderboardFileInput.value = '';
+        if (!file) return;
+
+        try {
+            importLeaderboard(await file.text());
+        } catch (err) {
+            console.error('❌ Could not import leaderboard:', err);
+            alert(`Could not import leaderboard: ${err.message}`);
+        }
+    });
 
-        console.log('✅ Hand tracking ready!');
+    elements.loadReplayBtn.addEventListener('click', () => elements.replayFileInput.click());
+    elements.replayFileInput.addEventListener('change', async () => {
+        const file = elements.replayFileInput.files[0];
+        elements.replayFileInput.value = '';
+        if (!file) return;
+
+        try {
+            startReplay(parseReplay(await file.text()));
+        } catch (err) {
+            console.error('❌ Could not load replay:', err);
+            alert(`Could not load replay: ${err.message}`);
+        }
+    });
 
-        if (elements.loadingHint) {
-            elements.loadingHint.style.display = 'none';
+    window.addEventListener('keydown', (e) => {
+        // Typing a name shouldn't fire bombs or toggle mute
+        if (e.target.tagName === 'INPUT' && e.target.type === 'text') return;
+
+        if (e.key === 'p' || e.key === 'P' || e.key === 'Escape') {
+            togglePause();
+        } else if (e.key === 'b' || e.key === 'B') {
+            triggerAction('bomb', 0);
+        } else if (e.key === ' ') {
+            triggerAction('shield', 0);
+        } else if (e.key === 'm' || e.key === 'M') {
+            toggleMute();
+        } else if (e.key === 'f' || e.key === 'F') {
+            setPerfStatsVisible(!perfStats.visible);
         }
+    });
 
-        return true;
-    } catch (err) {
-        console.error('❌ Hand tracking error:', err);
+    window.addEventListener('pagehide', endTrackingSession);
+    window.addEventListener('pageshow', (e) => {
+        // Back from the page cache mid-game: the camera was released on hide
+        if (e.persisted && state.isPlaying && !state.replay) {
+            getInputProvider().start();
+        }
+    });
 
-        if (elements.loadingHint) {
-            elements.loadingHint.textContent = '⚠️ Hand tracking failed. Using fallback mode...';
+    document.addEventListener('visibilitychange', () => {
+        if (document.hidden) {
+            pauseGame('hidden');
         }
+    });
+}
+
+function showStartTab(name) {
+    elements.startTabs.forEach(tab => {
+        tab.classList.toggle('active', tab.dataset.tab === name);
+    });
+    elements.playTab.classList.toggle('hidden', name !== 'play');
+    elements.leaderboardTab.classList.toggle('hidden', name !== 'leaderboard');
+    elements.statsTab.classList.toggle('hidden', name !== 'stats');
+    elements.challengeTab.classList.toggle('hidden', name !== 'challenge');
+
+    if (name === 'challenge') {
+        renderDailyChallenge();
+    }
+}
+
+// ============================================
+// INPUT & BALL COLOR SELECTION
+// ============================================
+function selectInputProvider(id) {
+    state.inputProvider = id;
+    elements.ballSettings.classList.toggle('hidden', id !== 'color');
+
+    elements.inputOptions.querySelectorAll('.color-btn').forEach(btn => {
+        btn.classList.toggle('active', btn.dataset.provider === id);
+    });
 
-        // Start fallback tracking loop
-        startFallbackTracking();
-        return true; // Continue with fallback
+    if (id !== 'color') {
+        stopColorSampling();
     }
 }
 
-// Fallback: Simple skin color detection
-function startFallbackTracking() {
-    console.log('🔄 Using fallback skin color tracking...');
-    state.handsReady = true;
+async function startColorSampling(btn) {
+    if (state.isSampling) return;
+
+    if (!isWebcamLive()) {
+        const webcamReady = await initWebcam();
+        if (!webcamReady) {
+            elements.startScreen.classList.add('hidden');
+            showCameraError();
+            return;
+        }
+    }
+
+    state.isSampling = true;
+    state.samplingButton = btn;
+    elements.samplePreview.width = 320;
+    elements.samplePreview.height = 240;
+    elements.samplePreview.classList.remove('hidden');
+
+    const ctx = elements.samplePreview.getContext('2d', { willReadFrequently: true });
 
-    function trackLoop() {
-        if (!state.isPlaying) return;
+    function previewLoop() {
+        if (!state.isSampling) return;
 
-        trackSkinColor();
-        requestAnimationFrame(trackLoop);
+        const video = elements.webcamVideo;
+        if (video.readyState === video.HAVE_ENOUGH_DATA) {
+            // Oriented like the tracking view
+            drawCameraFrame(ctx, elements.samplePreview);
+        }
+        requestAnimationFrame(previewLoop);
     }
 
-    requestAnimationFrame(trackLoop);
+    requestAnimationFrame(previewLoop);
 }
 
-function trackSkinColor() {
-    const video = elements.webcamVideo;
-    const canvas = elements.trackingCanvas;
-    const ctx = trackingCtx;
+function stopColorSampling() {
+    state.isSampling = false;
+    elements.samplePreview.classList.add('hidden');
+}
 
-    if (video.readyState !== video.HAVE_ENOUGH_DATA) return;
+function sampleColorAt(event) {
+    const canvas = elements.samplePreview;
+    const rect = canvas.getBoundingClientRect();
+    const x = Math.round((event.clientX - rect.left) / rect.width * canvas.width);
+    const y = Math.round((event.clientY - rect.top) / rect.height * canvas.height);
+
+    // Average a small patch so a single noisy pixel doesn't decide the color
+    const size = 5;
+    const sx = Math.max(0, Math.min(canvas.width - size, x - 2));
+    const sy = Math.max(0, Math.min(canvas.height - size, y - 2));
+    const data = canvas.getContext('2d').getImageData(sx, sy, size, size).data;
+
+    let r = 0, g = 0, b = 0;
+    for (let i = 0; i < data.length; i += 4) {
+        r += data[i];
+        g += data[i + 1];
+        b += data[i + 2];
+    }
+    const n = data.length / 4;
+    r = Math.round(r / n);
+    g = Math.round(g / n);
+    b = Math.round(b / n);
+
+    const hsv = rgbToHsv(r, g, b);
+    const color = `rgb(${r}, ${g}, ${b})`;
+    state.ballTarget = { label: 'Sampled', color, ...hsv };
+
+    if (state.samplingButton) {
+        state.samplingButton.style.setProperty('--btn-color', color);
+        state.samplingButton.textContent = '🎯 Sampled';
+    }
 
-    // Draw video frame (mirrored)
-    ctx.save();
-    ctx.translate(canvas.width, 0);
-    ctx.scale(-1, 1);
-    ctx.drawImage(video, 0, 0, canvas.width, canvas.height);
-    ctx.restore();
+    console.log('🎯 Sampled ball color:', color, hsv);
+}
 
-    // Get image data
-    const imageData = ctx.getImageData(0, 0, canvas.width, canvas.height);
-    const data = imageData.data;
-
-    // Find skin-colored pixels
-    let sumX = 0, sumY = 0, count = 0;
-
-    for (let y = 0; y < canvas.height; y += 2) { // Skip pixels for speed
-        for (let x = 0; x < canvas.width; x += 2) {
-            const i = (y * canvas.width + x) * 4;
-            const r = data[i];
-            const g = data[i + 1];
-            const b = data[i + 2];
-
-            // Simple skin color detection in RGB
-            if (isSkinColor(r, g, b)) {
-                sumX += x;
-                sumY += y;
-                count++;
-
-                // Highlight detected pixels
-                data[i] = 255;
-                data[i + 1] = 0;
-                data[i + 2] = 255;
+// ============================================
+// INPUT PROVIDERS
+// ============================================
+// Every way of moving the cursor is a provider with the same shape:
+//   start()  -> Promise<boolean>, false if it can't run (e.g. camera denied)
+//   stop()   -> releases listeners and loops
+// Providers report positions in normalized screen coordinates (0..1,
+// already mirrored) through updateCursorPosition/markCursorLost, which
+// own smoothing, trails and detection timestamps.
+const INPUT_PROVIDERS = {
+    hands: {
+        label: '👆 Hand',
+        color: '#00f5ff',
+        usesCamera: true,
+        maxCursors: 2,
+        lostMessage: '👆 Show your hand to the camera!',
+        async start() {
+            if (!await ensureWebcam()) return false;
+
+            if (elements.loadingHint && !trackingSession.handTracker) {
+                elements.loadingHint.textContent = '⏳ Loading hand tracking...';
+            }
+
+            if (await ensureHandTracking()) {
+                startTracking(trackingSession.handTracker);
+                return true;
+            }
+
+            // MediaPipe didn't load: track the selected ball color instead
+            if (elements.loadingHint) {
+                elements.loadingHint.textContent = '⚠️ Hand tracking failed. Using colored ball tracking...';
             }
+            showNotice(navigator.onLine
+                ? '⚠️ The hand tracking model could not be loaded, so colored ball tracking is on. Hold up a colored ball, or pick Mouse or Touch on the start screen.'
+                : '📴 You are offline and the hand tracking model is not cached, so colored ball tracking is on. Hold up a colored ball, or pick Mouse or Touch on the start screen.');
+            selectInputProvider('color');
+            return INPUT_PROVIDERS.color.start();
+        },
+        stop() {
+            stopTracking(trackingSession.handTracker);
+        }
+    },
+    color: {
+        label: '⚽ Colored Ball',
+        color: '#00ff88',
+        usesCamera: true,
+        maxCursors: 1,
+        lostMessage: '⚽ Show your ball to the camera!',
+        async start() {
+            if (!await ensureWebcam()) return false;
+
+            console.log('🔴 Using colored ball tracking...');
+            startTracking(colorTracker);
+            return true;
+        },
+        stop() {
+            stopTracking(colorTracker);
+        }
+    },
+    mouse: {
+        label: '🖱️ Mouse',
+        color: '#ff6b35',
+        usesCamera: false,
+        maxCursors: 1,
+        lostMessage: '🖱️ Move the mouse over the game!',
+        async start() {
+            window.addEventListener('mousemove', onMouseMove);
+            document.addEventListener('mouseleave', onMouseLeave);
+            return true;
+        },
+        stop() {
+            window.removeEventListener('mousemove', onMouseMove);
+            document.removeEventListener('mouseleave', onMouseLeave);
+        }
+    },
+    touch: {
+        label: '👉 Touch',
+        color: '#ffc800',
+        usesCamera: false,
+        maxCursors: 2,
+        lostMessage: '👉 Touch the screen to play!',
+        async start() {
+            window.addEventListener('touchstart', onTouch, { passive: false });
+            window.addEventListener('touchmove', onTouch, { passive: false });
+            window.addEventListener('touchend', onTouch);
+            window.addEventListener('touchcancel', onTouch);
+            return true;
+        },
+        stop() {
+            window.removeEventListener('touchstart', onTouch);
+            window.removeEventListener('touchmove', onTouch);
+            window.removeEventListener('touchend', onTouch);
+            window.removeEventListener('touchcancel', onTouch);
+        }
+    },
+    keyboard: {
+        label: '⌨️ Keyboard',
+        color: '#b388ff',
+        usesCamera: false,
+        maxCursors: 1,
+        lostMessage: '⌨️ Use the arrow keys or WASD to move!',
+        async start() {
+            keyboardCursor.x = 0.5;
+            keyboardCursor.y = 0.3;
+            keyboardCursor.keys.clear();
+            keyboardCursor.active = true;
+            keyboardCursor.lastTime = performance.now();
+            window.addEventListener('keydown', onCursorKey);
+            window.addEventListener('keyup', onCursorKey);
+            // Every round calls start() again; keep a single loop running
+            cancelAnimationFrame(keyboardCursor.frame);
+            keyboardCursor.frame = requestAnimationFrame(keyboardCursorLoop);
+            return true;
+        },
+        stop() {
+            keyboardCursor.active = false;
+            cancelAnimationFrame(keyboardCursor.frame);
+            window.removeEventListener('keydown', onCursorKey);
+            window.removeEventListener('keyup', onCursorKey);
         }
     }
+};
 
-    // Update tracking canvas
-    ctx.putImageData(imageData, 0, 0);
+function getInputProvider() {
+    return INPUT_PROVIDERS[state.inputProvider];
+}
 
-    // Calculate position
-    if (count > 50) {
-        const centerX = sumX / count;
-        const centerY = sumY / count;
+function updateCursorPosition(slot, nx, ny, timestamp = performance.now()) {
+    // Replays drive the cursors from the recording
+    if (state.replay) return;
 
-        // Map to game canvas
-        const gameX = (centerX / canvas.width) * elements.gameCanvas.width;
-        const gameY = (centerY / canvas.height) * elements.gameCanvas.height;
+    const provider = getInputProvider();
 
-        // Smooth position
-        if (state.fingerPosition.detected) {
-            state.fingerPosition.x = lerp(state.fingerPosition.x, gameX, CONFIG.fingerSmoothing);
-            state.fingerPosition.y = lerp(state.fingerPosition.y, gameY, CONFIG.fingerSmoothing);
-        } else {
-            state.fingerPosition.x = gameX;
-            state.fingerPosition.y = gameY;
+    if (provider.usesCamera) {
+        if (state.calibrating) {
+            if (slot === 0) {
+                addCalibrationSample(nx, ny);
+            }
+            return;
         }
-        state.fingerPosition.detected = true;
 
-        // Add to trail
-        state.positionHistory.push({ x: state.fingerPosition.x, y: state.fingerPosition.y });
-        if (state.positionHistory.length > CONFIG.trailLength) {
-            state.positionHistory.shift();
-        }
+        [nx, ny] = scaleHandMotion(...mapCameraPoint(nx, ny));
+    }
 
-        // Draw detection marker
-        ctx.strokeStyle = '#ff00ff';
-        ctx.lineWidth = 3;
-        ctx.beginPath();
-        ctx.arc(centerX, centerY, 20, 0, Math.PI * 2);
-        ctx.stroke();
-    } else {
-        state.fingerPosition.detected = false;
+    const cursor = state.cursors[slot];
+    const lead = getPredictionLead(provider);
+    traceCursorInput(slot, nx, ny, timestamp, lead);
+
+    if (!cursor.filter) {
+        cursor.filter = createCursorFilter(getCursorFilterOptions(provider));
     }
+    const filtered = cursor.filter.update(nx, ny, timestamp, lead);
+    setCursorPosition(cursor, filtered);
+    state.lastDetectedTime = performance.now();
 }
 
-function isSkinColor(r, g, b) {
-    // Multiple skin color detection rules
-    // Rule 1: RGB ratio based
-    const rule1 = r > 95 && g > 40 && b > 20 &&
-        r > g && r > b &&
-        Math.abs(r - g) > 15 &&
-        r - b > 15;
+function markCursorLost(slot, timestamp = performance.now()) {
+    if (state.replay) return;
+
+    // Losing the hand restarts the hold on the current corner
+    if (state.calibrating && slot === 0) {
+        state.calibrating.anchor = null;
+    }
+
+    const cursor = state.cursors[slot];
+    if (!cursor.detected) return;
 
-    // Rule 2: Normalized RGB
-    const sum = r + g + b;
-    if (sum === 0) return false;
-    const nr = r / sum;
-    const ng = g / sum;
-    const rule2 = nr > 0.35 && nr < 0.6 && ng > 0.25 && ng < 0.4;
+    traceCursorInput(slot, null, null, timestamp, 0);
+
+    // Bridge a few dropped frames instead of dropping the cursor
+    const coasted = cursor.filter && cursor.filter.miss(timestamp, getPredictionLead(getInputProvider()));
+    if (coasted) {
+        setCursorPosition(cursor, coasted);
+        return;
+    }
 
-    return rule1 || rule2;
+    cursor.detected = false;
+    resetGestureTracker(cursor.gestureTracker);
 }
 
-function onHandResults(results) {
-    const ctx = trackingCtx;
-    const canvas = elements.trackingCanvas;
+function setCursorPosition(cursor, { x, y }) {
+    cursor.x = x * elements.gameCanvas.width;
+    cursor.y = y * elements.gameCanvas.height;
+    cursor.detected = true;
 
-    // Draw video frame (mirrored)
-    ctx.save();
-    ctx.clearRect(0, 0, canvas.width, canvas.height);
-    ctx.translate(canvas.width, 0);
-    ctx.scale(-1, 1);
-    ctx.drawImage(elements.webcamVideo, 0, 0, canvas.width, canvas.height);
-    ctx.restore();
+    // Add to position history for trail
+    cursor.history.push({ x: cursor.x, y: cursor.y });
+    if (cursor.history.length > CONFIG.trailLength) {
+        cursor.history.shift();
+    }
+}
 
-    if (results.multiHandLandmarks && results.multiHandLandmarks.length > 0) {
-        const landmarks = results.multiHandLandmarks[0];
+// Mouse
+function onMouseMove(e) {
+    updateCursorPosition(0, e.clientX / window.innerWidth, e.clientY / window.innerHeight);
+}
 
-        // Draw hand skeleton
-        drawHandSkeleton(ctx, landmarks, canvas);
+function onMouseLeave() {
+    markCursorLost(0);
+}
 
-        // Get index finger tip (landmark 8)
-        const indexTip = landmarks[8];
+// Touch: each finger on the screen drives one cursor
+function onTouch(e) {
+    if (e.cancelable && state.isPlaying) {
+        e.preventDefault();
+    }
 
-        // Map to game canvas (mirrored)
-        const gameX = (1 - indexTip.x) * elements.gameCanvas.width;
-        const gameY = indexTip.y * elements.gameCanvas.height;
+    const touches = Array.from(e.touches).slice(0, HAND_SLOTS.length);
+    touches.forEach((touch, slot) => {
+        updateCursorPosition(slot, touch.clientX / window.innerWidth, touch.clientY / window.innerHeight);
+    });
+    for (let slot = touches.length; slot < HAND_SLOTS.length; slot++) {
+        markCursorLost(slot);
+    }
+}
 
-        // Smooth position
-        if (state.fingerPosition.detected) {
-            state.fingerPosition.x = lerp(state.fingerPosition.x, gameX, CONFIG.fingerSmoothing);
-            state.fingerPosition.y = lerp(state.fingerPosition.y, gameY, CONFIG.fingerSmoothing);
-        } else {
-            state.fingerPosition.x = gameX;
-            state.fingerPosition.y = gameY;
-        }
-        state.fingerPosition.detected = true;
+// Keyboard: arrow keys or WASD steer the cursor
+const keyboardCursor = { x: 0.5, y: 0.3, keys: new Set(), active: false, lastTime: 0, frame: 0 };
+const CURSOR_KEYS = {
+    ArrowLeft: [-1, 0], a: [-1, 0], A: [-1, 0],
+    ArrowRight: [1, 0], d: [1, 0], D: [1, 0],
+    ArrowUp: [0, -1], w: [0, -1], W: [0, -1],
+    ArrowDown: [0, 1], s: [0, 1], S: [0, 1]
+};
 
-        // Add to position history for trail
-        state.positionHistory.push({ x: state.fingerPosition.x, y: state.fingerPosition.y });
-        if (state.positionHistory.length > CONFIG.trailLength) {
-            state.positionHistory.shift();
-        }
+function onCursorKey(e) {
+    if (!CURSOR_KEYS[e.key]) return;
 
-        if (state.debugMode) {
-            console.log('👆 Finger detected at:', Math.round(gameX), Math.round(gameY));
-        }
+    e.preventDefault();
+    if (e.type === 'keydown') {
+        keyboardCursor.keys.add(e.key);
     } else {
-        state.fingerPosition.detected = false;
-        if (state.debugMode && Math.random() < 0.01) {
-            console.log('❌ No hand detected');
-        }
+        keyboardCursor.keys.delete(e.key);
     }
 }
 
-function drawHandSkeleton(ctx, landmarks, canvas) {
-    // Connection pairs for hand skeleton
-    const connections = [
-        [0, 1], [1, 2], [2, 3], [3, 4],
-        [0, 5], [5, 6], [6, 7], [7, 8],
-        [0, 9], [9, 10], [10, 11], [11, 12],
-        [0, 13], [13, 14], [14, 15], [15, 16],
-        [0, 17], [17, 18], [18, 19], [19, 20],
-        [5, 9], [9, 13], [13, 17]
-    ];
+function keyboardCursorLoop(now) {
+    if (!keyboardCursor.active) return;
 
-    // Draw connections
-    ctx.strokeStyle = 'rgba(0, 245, 255, 0.8)';
+    const dt = Math.min(now - keyboardCursor.lastTime, CONFIG.maxFrameDelta) / 1000;
+    keyboardCursor.lastTime = now;
+
+    let dx = 0, dy = 0;
+    keyboardCursor.keys.forEach(key => {
+        dx += CURSOR_KEYS[key][0];
+        dy += CURSOR_KEYS[key][1];
+    });
+
+    const speed = CONFIG.keyboardCursorSpeed * dt;
+    keyboardCursor.x = Math.max(0, Math.min(1, keyboardCursor.x + Math.sign(dx) * speed / window.innerWidth));
+    keyboardCursor.y = Math.max(0, Math.min(1, keyboardCursor.y + Math.sign(dy) * speed / window.innerHeight));
+
+    updateCursorPosition(0, keyboardCursor.x, keyboardCursor.y);
+    keyboardCursor.frame = requestAnimationFrame(keyboardCursorLoop);
+}
+
+// Camera denied: offer mouse (or touch) and switch automatically after a delay
+function getPointerFallback() {
+    return window.matchMedia('(pointer: coarse)').matches ? 'touch' : 'mouse';
+}
+
+function showCameraError() {
+    elements.cameraErrorScreen.classList.remove('hidden');
+
+    const fallback = INPUT_PROVIDERS[getPointerFallback()];
+    elements.mouseFallbackBtn.querySelector('.btn-text').textContent = `${fallback.label.toUpperCase()} INSTEAD`;
+
+    let remaining = CONFIG.cameraFallbackDelay;
+    const tick = () => {
+        if (remaining <= 0) {
+            startWithPointerFallback();
+            resumeAudioOnNextGesture();
+            return;
+        }
+        elements.fallbackCountdown.textContent =
+            `Switching to ${fallback.label} in ${Math.ceil(remaining / 1000)}...`;
+        remaining -= 1000;
+    };
+
+    cancelCameraFallback();
+    tick();
+    state.fallbackTimer = setInterval(tick, 1000);
+}
+
+function cancelCameraFallback() {
+    clearInterval(state.fallbackTimer);
+    state.fallbackTimer = null;
+}
+
+function startWithPointerFallback() {
+    cancelCameraFallback();
+    elements.cameraErrorScreen.classList.add('hidden');
+    selectInputProvider(getPointerFallback());
+    startGame(state.challenge);
+}
+
+// ============================================
+// CURSOR FILTERS
+// ============================================
+// The filters themselves live in cursor-filters.js, with no DOM, so they
+// can be re-run offline over the input trace stored in a recording.
+function getCursorFilterOptions(provider) {
+    // Pointer input is already precise
+    if (!provider.usesCamera) {
+        return { type: 'none', predict: false, gapFillFrames: 0 };
+    }
+
+    return {
+        type: CONFIG.cursorFilter,
+        predict: CONFIG.latencyPrediction,
+        gapFillFrames: CONFIG.gapFillFrames,
+        lerp: CONFIG.fingerSmoothing,
+        minCutoff: CONFIG.oneEuroMinCutoff,
+        beta: CONFIG.oneEuroBeta,
+        derivativeCutoff: CONFIG.oneEuroDerivativeCutoff,
+        processNoise: CONFIG.kalmanProcessNoise,
+        measurementNoise: CONFIG.kalmanMeasurementNoise
+    };
+}
+
+function getPredictionLead(provider) {
+    if (!provider.usesCamera || !CONFIG.latencyPrediction) return 0;
+    return Math.min(state.trackingLatency, CONFIG.maxPredictionTime);
+}
+
+// Exponential moving average of the camera-to-result delay
+function recordTrackingLatency(latency) {
+    state.trackingLatency = state.trackingLatency
+        ? lerp(state.trackingLatency, latency, 0.1)
+        : latency;
+}
+
+// Raw camera input for offline filter tuning: [t, slot, x, y, lead],
+// with x and y null when the hand was lost
+function traceCursorInput(slot, x, y, timestamp, lead) {
+    const recording = state.recording;
+    if (!recording || !state.isPlaying) return;
+
+    if (recording.traceStart === undefined) {
+        recording.traceStart = timestamp;
+    }
+    recording.trace.push([Math.round((timestamp - recording.traceStart) * 10) / 10, slot, x, y, lead]);
+}
+
+// ============================================
+// CALIBRATION
+// ============================================
+// Players point at four on-screen corners; the hand positions they used
+// become a homography from their comfortable hand region to the screen.
+const CALIBRATION_TARGETS = [
+    { x: 0.1, y: 0.1, name: 'top-left' },
+    { x: 0.9, y: 0.1, name: 'top-right' },
+    { x: 0.9, y: 0.9, name: 'bottom-right' },
+    { x: 0.1, y: 0.9, name: 'bottom-left' }
+];
+
+function loadCalibration() {
+    try {
+        const saved = JSON.parse(localStorage.getItem('asteroidCalibration'));
+        if (saved && Array.isArray(saved.matrix) && saved.matrix.length === 9) {
+            return saved;
+        }
+    } catch (err) {
+        console.warn('⚠️ Ignoring invalid saved calibration:', err);
+    }
+    return null;
+}
+
+function saveCalibration() {
+    if (state.calibration) {
+        localStorage.setItem('asteroidCalibration', JSON.stringify(state.calibration));
+    } else {
+        localStorage.removeItem('asteroidCalibration');
+    }
+}
+
+// Camera-normalized point -> screen-normalized point
+function mapCameraPoint(nx, ny) {
+    const calibration = state.calibration;
+    if (!calibration) return [nx, ny];
+
+    let [x, y] = applyHomography(calibration.matrix, nx, ny);
+
+    // The outer margin of the region pins to the screen edge, so corners
+    // are reachable without stretching to the limit of tracking
+    const dz = calibration.deadZone;
+    x = (x - dz) / (1 - 2 * dz);
+    y = (y - dz) / (1 - 2 * dz);
+
+    return [Math.max(0, Math.min(1, x)), Math.max(0, Math.min(1, y))];
+}
+
+function setDeadZone(deadZone) {
+    elements.deadZoneValue.textContent = `${Math.round(deadZone * 100)}%`;
+    if (state.calibration) {
+        state.calibration.deadZone = deadZone;
+        saveCalibration();
+    }
+}
+
+function runCalibration() {
+    console.log('🎯 Starting calibration...');
+
+    const deadZone = state.calibration ? state.calibration.deadZone : CONFIG.defaultDeadZone;
+    elements.deadZoneSlider.value = Math.round(deadZone * 100);
+    elements.deadZoneValue.textContent = `${Math.round(deadZone * 100)}%`;
+    elements.calibrationScreen.classList.remove('hidden');
+
+    return new Promise(resolve => {
+        state.calibrating = { index: 0, points: [], anchor: null, samples: [], resolve };
+        showCalibrationTarget();
+    });
+}
+
+function showCalibrationTarget() {
+    const { index } = state.calibrating;
+    const target = CALIBRATION_TARGETS[index];
+
+    elements.calibrationTarget.style.left = `${target.x * 100}%`;
+    elements.calibrationTarget.style.top = `${target.y * 100}%`;
+    elements.calibrationTarget.style.setProperty('--progress', 0);
+    elements.calibrationStep.textContent =
+        `Point at the ${target.name} target and hold still (${index + 1}/${CALIBRATION_TARGETS.length})`;
+}
+
+function addCalibrationSample(nx, ny) {
+    const session = state.calibrating;
+    const now = performance.now();
+
+    // Raw (mirrored) hand position, so players can see what they're aiming
+    elements.calibrationDot.style.left = `${nx * 100}%`;
+    elements.calibrationDot.style.top = `${ny * 100}%`;
+
+    // Restart the hold whenever the hand drifts away
+    if (!session.anchor || Math.hypot(nx - session.anchor.x, ny - session.anchor.y) > CONFIG.calibrationHoldRadius) {
+        session.anchor = { x: nx, y: ny, since: now };
+        session.samples = [];
+    }
+    session.samples.push([nx, ny]);
+
+    const progress = Math.min(1, (now - session.anchor.since) / CONFIG.calibrationHoldTime);
+    elements.calibrationTarget.style.setProperty('--progress', progress);
+    if (progress < 1) return;
+
+    const n = session.samples.length;
+    session.points.push([
+        session.samples.reduce((sum, p) => sum + p[0], 0) / n,
+        session.samples.reduce((sum, p) => sum + p[1], 0) / n
+    ]);
+    session.anchor = null;
+    session.samples = [];
+    session.index++;
+
+    if (session.index < CALIBRATION_TARGETS.length) {
+        showCalibrationTarget();
+        return;
+    }
+
+    const matrix = computeHomography(session.points, CALIBRATION_TARGETS.map(t => [t.x, t.y]));
+    if (!matrix) {
+        // Degenerate corners (e.g. the same spot twice): start over
+        console.warn('⚠️ Calibration points were degenerate, retrying');
+        session.index = 0;
+        session.points = [];
+        showCalibrationTarget();
+        return;
+    }
+
+    state.calibration = { matrix, deadZone: parseInt(elements.deadZoneSlider.value) / 100 };
+    saveCalibration();
+    finishCalibration(true);
+}
+
+function finishCalibration(completed) {
+    const session = state.calibrating;
+    if (!session) return;
+
+    state.calibrating = null;
+    elements.calibrationScreen.classList.add('hidden');
+    console.log(completed ? '✅ Calibration saved' : '⏭️ Calibration skipped');
+
+    // A skip stands until the player recalibrates, instead of asking
+    // again before every camera game
+    state.calibrationSkipped = !completed;
+    localStorage.setItem('asteroidCalibrationSkipped', String(!completed));
+    session.resolve(completed);
+}
+
+async function recalibrate() {
+    if (!getInputProvider().usesCamera) {
+        selectInputProvider('hands');
+    }
+
+    elements.startScreen.classList.add('hidden');
+
+    if (!await getInputProvider().start()) {
+        showCameraError();
+        return;
+    }
+    elements.webcamContainer.style.display = 'block';
+
+    await runCalibration();
+    elements.startScreen.classList.remove('hidden');
+}
+
+// Solves for the 3x3 homography H (h33 = 1) taking each src point to its
+// dst point. Returns null if the points are degenerate.
+function computeHomography(src, dst) {
+    const a = [];
+    const b = [];
+
+    src.forEach(([x, y], i) => {
+        const [u, v] = dst[i];
+        a.push([x, y, 1, 0, 0, 0, -u * x, -u * y]);
+        b.push(u);
+        a.push([0, 0, 0, x, y, 1, -v * x, -v * y]);
+        b.push(v);
+    });
+
+    const h = solveLinearSystem(a, b);
+    return h ? [...h, 1] : null;
+}
+
+function applyHomography(h, x, y) {
+    const w = h[6] * x + h[7] * y + h[8];
+    return [
+        (h[0] * x + h[1] * y + h[2]) / w,
+        (h[3] * x + h[4] * y + h[5]) / w
+    ];
+}
+
+// Gaussian elimination with partial pivoting
+function solveLinearSystem(a, b) {
+    const n = b.length;
+    const m = a.map((row, i) => [...row, b[i]]);
+
+    for (let col = 0; col < n; col++) {
+        let pivot = col;
+        for (let row = col + 1; row < n; row++) {
+            if (Math.abs(m[row][col]) > Math.abs(m[pivot][col])) pivot = row;
+        }
+        if (Math.abs(m[pivot][col]) < 1e-10) return null;
+        [m[col], m[pivot]] = [m[pivot], m[col]];
+
+        for (let row = col + 1; row < n; row++) {
+            const factor = m[row][col] / m[col][col];
+            for (let k = col; k <= n; k++) {
+                m[row][k] -= factor * m[col][k];
+            }
+        }
+    }
+
+    const x = new Array(n);
+    for (let row = n - 1; row >= 0; row--) {
+        let sum = m[row][n];
+        for (let k = row + 1; k < n; k++) {
+            sum -= m[row][k] * x[k];
+        }
+        x[row] = sum / m[row][row];
+    }
+    return x;
+}
+
+// ============================================
+// TRACKING SESSION
+// ============================================
+// The webcam stream and the MediaPipe pipeline outlive a round: they are
+// set up on first use and reused by every later game, so PLAY AGAIN is
+// instant. endTrackingSession() releases them when the page goes away.
+//
+// Camera frames are fed to the active tracker by a single frame loop. A
+// tracker is { backend, process(video) -> Promise<inference ms> }; it
+// reports cursors itself. Where the browser allows it, hand inference and
+// colored ball detection run in tracking-worker.js and frames cross over
+// as transferred ImageBitmaps.
+const trackingSession = {
+    tracker: null, // Tracker the frame loop feeds, null when idle
+    handTracker: null, // Initialized hand tracker, kept between rounds
+    handsLoading: null, // Promise while it is being built
+    worker: null, // Client for tracking-worker.js, see createWorkerClient
+    workerFailed: false, // The worker crashed or couldn't load; stay on the main thread
+    webcamOpening: null, // Promise while getUserMedia is pending
+    frameLoopRunning: false,
+    nextFrameAt: 0 // Frames before this are skipped to stay within budget
+};
+
+function isWebcamLive() {
+    const stream = elements.webcamVideo.srcObject;
+    return Boolean(stream) && stream.getVideoTracks().some(track => track.readyState === 'live');
+}
+
+// Concurrent callers (e.g. a double-clicked START) share one request
+function ensureWebcam() {
+    if (isWebcamLive()) return Promise.resolve(true);
+
+    if (!trackingSession.webcamOpening) {
+        trackingSession.webcamOpening = initWebcam().finally(() => {
+            trackingSession.webcamOpening = null;
+        });
+    }
+    return trackingSession.webcamOpening;
+}
+
+function ensureHandTracking() {
+    if (trackingSession.handTracker) return Promise.resolve(true);
+
+    if (!trackingSession.handsLoading) {
+        trackingSession.handsLoading = createHandTracker().then(tracker => {
+            trackingSession.handTracker = tracker;
+            trackingSession.handsLoading = null;
+            return Boolean(tracker);
+        });
+    }
+    return trackingSession.handsLoading;
+}
+
+function startTracking(tracker) {
+    trackingSession.tracker = tracker;
+    trackingSession.nextFrameAt = 0;
+    startFrameLoop();
+}
+
+// Only stops the loop if it is still feeding this tracker
+function stopTracking(tracker) {
+    if (trackingSession.tracker === tracker) {
+        trackingSession.tracker = null;
+    }
+}
+
+// Feeds webcam frames to the active tracker, one at a time. Only one loop
+// ever runs; camera_utils' Camera isn't used because it opens its own
+// stream and would ignore the chosen device.
+function startFrameLoop() {
+    if (trackingSession.frameLoopRunning) return;
+    trackingSession.frameLoopRunning = true;
+
+    const video = elements.webcamVideo;
+
+    async function processFrame() {
+        const tracker = trackingSession.tracker;
+        if (!tracker) {
+            trackingSession.frameLoopRunning = false;
+            return;
+        }
+
+        const now = performance.now();
+        if (now < trackingSession.nextFrameAt) {
+            perfStats.skippedFrames++;
+        } else if (video.readyState >= video.HAVE_CURRENT_DATA) {
+            state.frameSentAt = now;
+            try {
+                scheduleNextFrame(await tracker.process(video), now);
+            } catch (err) {
+                console.error('❌ Tracking frame failed:', err);
+            }
+        }
+        requestAnimationFrame(processFrame);
+    }
+
+    requestAnimationFrame(processFrame);
+}
+
+// Tracking gets CONFIG.trackingBudget ms of work per rendered frame on
+// average. A camera frame that cost more is paid back by skipping the
+// next ones, so slow inference lowers the tracking rate rather than the
+// game's frame rate.
+function scheduleNextFrame(inferenceMs, startedAt) {
+    perfStats.inferenceMs = perfStats.inferenceMs
+        ? lerp(perfStats.inferenceMs, inferenceMs, 0.1)
+        : inferenceMs;
+    perfStats.trackedFrames++;
+
+    const interval = perfStats.inferenceMs * perfStats.renderFrameMs / CONFIG.trackingBudget;
+    trackingSession.nextFrameAt = startedAt + interval;
+}
+
+// Worker-backed tracking needs transferable frames and a 2D OffscreenCanvas
+function canUseTrackingWorker() {
+    return CONFIG.useTrackingWorker && !trackingSession.workerFailed &&
+        typeof Worker !== 'undefined' &&
+        typeof OffscreenCanvas !== 'undefined' &&
+        typeof createImageBitmap === 'function';
+}
+
+function getTrackingWorker() {
+    if (!trackingSession.worker) {
+        trackingSession.worker = createWorkerClient('tracking-worker.js');
+    }
+    return trackingSession.worker;
+}
+
+// Promise-based requests to a worker speaking the { id, type } protocol of
+// tracking-worker.js. If the worker dies every pending request rejects and
+// tracking falls back to the main thread.
+function createWorkerClient(url) {
+    const worker = new Worker(url);
+    const pending = new Map();
+    let nextId = 1;
+    let terminated = false;
+
+    function rejectAll(err) {
+        pending.forEach(request => request.reject(err));
+        pending.clear();
+    }
+
+    worker.onmessage = ({ data }) => {
+        const request = pending.get(data.id);
+        if (!request) return;
+
+        pending.delete(data.id);
+        if (data.error) {
+            request.reject(new Error(data.error));
+        } else {
+            request.resolve(data.result);
+        }
+    };
+    worker.onerror = (e) => {
+        console.error('❌ Tracking worker failed:', e.message);
+        trackingSession.workerFailed = true;
+        if (trackingSession.worker === client) {
+            trackingSession.worker = null;
+        }
+        client.terminate();
+    };
+
+    const client = {
+        call(type, payload = {}, transfer = []) {
+            return new Promise((resolve, reject) => {
+                if (terminated) {
+                    reject(new Error('Tracking worker stopped'));
+                    return;
+                }
+                const id = nextId++;
+                pending.set(id, { resolve, reject });
+                worker.postMessage({ id, type, ...payload }, transfer);
+            });
+        },
+        terminate() {
+            terminated = true;
+            worker.terminate();
+            rejectAll(new Error('Tracking worker stopped'));
+        }
+    };
+    return client;
+}
+
+function endTrackingSession() {
+    trackingSession.tracker = null;
+    stopColorSampling();
+    stopWebcam();
+
+    if (trackingSession.handTracker) {
+        trackingSession.handTracker.close();
+        trackingSession.handTracker = null;
+    }
+    if (trackingSession.worker) {
+        trackingSession.worker.terminate();
+        trackingSession.worker = null;
+    }
+    console.log('📷 Tracking session ended');
+}
+
+// ============================================
+// PERFORMANCE STATS
+// ============================================
+// Toggled with F or from settings. Counters are per refresh of the overlay.
+const perfStats = {
+    visible: localStorage.getItem('asteroidShowStats') === 'true',
+    renderFrameMs: REFERENCE_FRAME_TIME, // Smoothed time between rendered frames
+    inferenceMs: 0, // Smoothed tracking time per processed camera frame
+    trackedFrames: 0,
+    skippedFrames: 0,
+    shownAt: 0
+};
+const PERF_REFRESH_INTERVAL = 500; // ms
+
+function recordRenderFrame(frameMs) {
+    // Ignore the gap after a pause in the background
+    if (frameMs <= 0 || frameMs > CONFIG.maxFrameDelta) return;
+    perfStats.renderFrameMs = lerp(perfStats.renderFrameMs, frameMs, 0.05);
+}
+
+function setPerfStatsVisible(visible) {
+    perfStats.visible = visible;
+    localStorage.setItem('asteroidShowStats', visible);
+    elements.perfStatsToggle.checked = visible;
+    elements.perfStats.classList.toggle('hidden', !visible);
+    perfStats.shownAt = 0;
+}
+
+function updatePerfStats(now) {
+    if (!perfStats.visible) return;
+
+    const elapsed = now - perfStats.shownAt;
+    if (elapsed < PERF_REFRESH_INTERVAL) return;
+
+    const tracker = trackingSession.tracker;
+    const lines = [`${Math.round(1000 / perfStats.renderFrameMs)} FPS`];
+    if (tracker && perfStats.shownAt) {
+        const perSecond = 1000 / elapsed;
+        lines.push(
+            `Tracking ${Math.round(perfStats.trackedFrames * perSecond)} FPS · ${tracker.backend}`,
+            `Inference ${perfStats.inferenceMs.toFixed(1)} ms / ${CONFIG.trackingBudget} ms budget`,
+            `Skipped ${Math.round(perfStats.skippedFrames * perSecond)} frames/s`
+        );
+    }
+    elements.perfStats.textContent = lines.join('\n');
+
+    perfStats.trackedFrames = 0;
+    perfStats.skippedFrames = 0;
+    perfStats.shownAt = now;
+}
+
+// ============================================
+// WEBCAM & HAND TRACKING
+// ============================================
+async function initWebcam() {
+    console.log('📷 Initializing webcam...');
+
+    try {
+        stopWebcam();
+        const stream = await openCameraStream();
+
+        elements.webcamVideo.srcObject = stream;
+        elements.webcamContainer.classList.toggle('unmirrored', !state.camera.mirror);
+        elements.webcamContainer.style.display = 'block';
+
+        await new Promise((resolve, reject) => {
+            elements.webcamVideo.onloadedmetadata = () => {
+                console.log('✅ Webcam metadata loaded');
+                elements.webcamVideo.play();
+                resolve();
+            };
+            elements.webcamVideo.onerror = reject;
+        });
+
+        console.log('✅ Webcam ready, video dimensions:',
+            elements.webcamVideo.videoWidth, 'x', elements.webcamVideo.videoHeight);
+
+        return true;
+    } catch (err) {
+        console.error('❌ Webcam error:', err);
+        return false;
+    }
+}
+
+function getCameraConstraints(deviceId) {
+    const { width, height } = CAMERA_RESOLUTIONS[state.camera.resolution];
+
+    return {
+        video: {
+            ...(deviceId ? { deviceId: { exact: deviceId } } : { facingMode: 'user' }),
+            width: { ideal: width },
+            height: { ideal: height },
+            frameRate: { ideal: state.camera.frameRate }
+        }
+    };
+}
+
+async function openCameraStream() {
+    const { deviceId } = state.camera;
+
+    try {
+        return await navigator.mediaDevices.getUserMedia(getCameraConstraints(deviceId));
+    } catch (err) {
+        // The remembered camera may be unplugged; any camera beats none
+        if (!deviceId || (err.name !== 'NotFoundError' && err.name !== 'OverconstrainedError')) {
+            throw err;
+        }
+        console.warn('⚠️ Chosen camera unavailable, using the default one:', err);
+        return navigator.mediaDevices.getUserMedia(getCameraConstraints(null));
+    }
+}
+
+function stopWebcam() {
+    const stream = elements.webcamVideo.srcObject;
+    if (stream) {
+        stream.getTracks().forEach(track => track.stop());
+        elements.webcamVideo.srcObject = null;
+    }
+}
+
+// Swaps the running stream for one with the current settings. Tracking
+// keeps reading the same <video>, so nothing else has to restart.
+async function restartWebcam() {
+    if (!elements.webcamVideo.srcObject) return;
+
+    const wasVisible = elements.webcamContainer.style.display;
+    if (await initWebcam()) {
+        elements.webcamContainer.style.display = wasVisible;
+    } else {
+        showNotice('⚠️ Could not switch to that camera. Check that it is connected and not in use.');
+    }
+}
+
+function loadCameraSettings() {
+    try {
+        const saved = JSON.parse(localStorage.getItem('asteroidCamera'));
+        if (saved && typeof saved === 'object') {
+            const settings = { ...CAMERA_DEFAULTS, ...saved };
+            if (!Object.hasOwn(CAMERA_RESOLUTIONS, settings.resolution)) settings.resolution = CAMERA_DEFAULTS.resolution;
+            if (!CAMERA_FRAME_RATES.includes(settings.frameRate)) settings.frameRate = CAMERA_DEFAULTS.frameRate;
+            return settings;
+        }
+    } catch (err) {
+        console.warn('⚠️ Ignoring invalid camera settings:', err);
+    }
+    return { ...CAMERA_DEFAULTS };
+}
+
+function setCameraSetting(key, value) {
+    state.camera[key] = value;
+    localStorage.setItem('asteroidCamera', JSON.stringify(state.camera));
+
+    // A calibration only fits the camera position and orientation it was
+    // made with
+    if ((key === 'deviceId' || key === 'mirror') && state.calibration) {
+        state.calibration = null;
+        saveCalibration();
+        console.log('🎯 Calibration cleared after camera change');
+    }
+
+    restartWebcam();
+}
+
+// Device labels are only filled in once camera permission was granted,
+// so the list is rebuilt whenever settings open or devices change
+async function updateCameraOptions() {
+    let cameras = [];
+    try {
+        const devices = await navigator.mediaDevices.enumerateDevices();
+        cameras = devices.filter(device => device.kind === 'videoinput');
+    } catch (err) {
+        console.warn('⚠️ Could not list cameras:', err);
+    }
+
+    const options = [['', '📷 Default camera']].concat(
+        cameras.map((camera, i) => [camera.deviceId, camera.label || `Camera ${i + 1}`])
+    );
+    elements.cameraSelect.replaceChildren(...options.map(([value, label]) => new Option(label, value)));
+    elements.cameraSelect.value = state.camera.deviceId || '';
+
+    // Remembered camera isn't connected right now
+    if (elements.cameraSelect.value !== (state.camera.deviceId || '')) {
+        elements.cameraSelect.value = '';
+    }
+}
+
+function createCameraSettings() {
+    elements.resolutionSelect.replaceChildren(...Object.entries(CAMERA_RESOLUTIONS)
+        .map(([id, preset]) => new Option(preset.label, id)));
+    elements.frameRateSelect.replaceChildren(...CAMERA_FRAME_RATES
+        .map(fps => new Option(`${fps} fps`, fps)));
+
+    elements.resolutionSelect.value = state.camera.resolution;
+    elements.frameRateSelect.value = state.camera.frameRate;
+    elements.mirrorToggle.checked = state.camera.mirror;
+    updateCameraOptions();
+}
+
+// Draws the current webcam frame, mirrored when the setting asks for it
+function drawCameraFrame(ctx, canvas) {
+    ctx.save();
+    if (state.camera.mirror) {
+        ctx.translate(canvas.width, 0);
+        ctx.scale(-1, 1);
+    }
+    ctx.drawImage(elements.webcamVideo, 0, 0, canvas.width, canvas.height);
+    ctx.restore();
+}
+
+// Camera-space x (0..1) as seen on screen
+function cameraX(x) {
+    return state.camera.mirror ? 1 - x : x;
+}
+
+// Resolves to a hand tracker running the tasks-vision HandLandmarker in
+// the worker, or legacy MediaPipe Hands on the main thread if the worker
+// can't run it, or null if neither can be loaded. Use ensureHandTracking()
+// instead of calling this directly.
+async function createHandTracker() {
+    if (elements.loadingHint) {
+        elements.loadingHint.style.display = 'block';
+    }
+
+    if (canUseTrackingWorker()) {
+        console.log('🖐️ Initializing hand tracking in a worker...');
+        try {
+            // The worker resolves relative URLs against its own script
+            const local = (path) => new URL(ASSET_CONFIG.mediapipeBase + path, location.href).href;
+            await getTrackingWorker().call('initHands', {
+                tasksVisionBases: [local('tasks-vision/'), ASSET_CONFIG.tasksVisionFallback],
+                handModelUrls: [local(ASSET_CONFIG.handModel), ASSET_CONFIG.handModelFallback],
+                maxHands: CONFIG.maxHands
+            });
+            console.log('✅ Hand tracking ready!');
+            return createWorkerHandTracker();
+        } catch (err) {
+            console.warn('⚠️ Hand tracking worker unavailable, using the main thread:', err);
+        }
+    }
+
+    const hands = await initHandTracking();
+    return hands && createMainThreadHandTracker(hands);
+}
+
+function createWorkerHandTracker() {
+    // The model was loaded into this worker; a replacement would need it again
+    const worker = getTrackingWorker();
+
+    return {
+        backend: 'worker',
+        async process(video) {
+            let results;
+            try {
+                const bitmap = await createImageBitmap(video);
+                results = await worker.call('handsFrame', { bitmap }, [bitmap]);
+            } catch (err) {
+                if (!trackingSession.workerFailed) throw err;
+
+                // The worker died: rebuild hand tracking on the main thread
+                stopTracking(this);
+                trackingSession.handTracker = null;
+                if (getInputProvider() === INPUT_PROVIDERS.hands) {
+                    INPUT_PROVIDERS.hands.start();
+                }
+                return 0;
+            }
+
+            onHandResults(results);
+            return results.inferenceMs;
+        },
+        close() {
+            // Ends with the worker in endTrackingSession()
+        }
+    };
+}
+
+function createMainThreadHandTracker(hands) {
+    return {
+        backend: 'main thread',
+        async process(video) {
+            const started = performance.now();
+            await hands.send({ image: video });
+            return performance.now() - started;
+        },
+        close() {
+            hands.close();
+        }
+    };
+}
+
+// Builds and initializes MediaPipe Hands on the main thread. Resolves to
+// the instance, or null if it couldn't be loaded.
+async function initHandTracking() {
+    console.log('🖐️ Initializing MediaPipe Hands...');
+
+    try {
+        const handsDir = await loadMediaPipe();
+
+        // Check if Hands is available
+        if (typeof Hands === 'undefined') {
+            console.error('❌ MediaPipe Hands not loaded!');
+            throw new Error('MediaPipe Hands not loaded');
+        }
+
+        const hands = new Hands({
+            locateFile: (file) => {
+                console.log('📦 Loading MediaPipe file:', file);
+                return handsDir + file;
+            }
+        });
+
+        hands.setOptions({
+            maxNumHands: CONFIG.maxHands,
+            modelComplexity: 0, // Use simpler model for faster loading
+            minDetectionConfidence: 0.5,
+            minTrackingConfidence: 0.5
+        });
+
+        hands.onResults((results) => {
+            onHandResults(results);
+        });
+
+        // Fetch the wasm and model now so a missing file fails here rather
+        // than on the first camera frame
+        await hands.initialize();
+
+        console.log('✅ Hand tracking ready!');
+        return hands;
+    } catch (err) {
+        console.error('❌ Hand tracking error:', err);
+        return null;
+    }
+}
+
+let mediaPipeLoading = null;
+
+// Resolves to the folder the Hands scripts were loaded from, which is
+// where its wasm and model files are fetched from too
+function loadMediaPipe() {
+    if (!mediaPipeLoading) {
+        const localDir = `${ASSET_CONFIG.mediapipeBase}hands/`;
+        mediaPipeLoading = loadMediaPipeScripts(localDir)
+            .then(() => localDir)
+            .catch(() => {
+                console.warn('⚠️ MediaPipe not found in', localDir, '- loading it from', ASSET_CONFIG.mediapipeFallback);
+                return loadMediaPipeScripts(ASSET_CONFIG.mediapipeFallback)
+                    .then(() => ASSET_CONFIG.mediapipeFallback);
+            })
+            .catch(err => {
+                // Allow another try, e.g. once back online
+                mediaPipeLoading = null;
+                throw err;
+            });
+    }
+    return mediaPipeLoading;
+}
+
+function loadMediaPipeScripts(dir) {
+    return ASSET_CONFIG.mediapipeScripts
+        .reduce((ready, file) => ready.then(() => loadScript(dir + file)), Promise.resolve());
+}
+
+function loadScript(src) {
+    return new Promise((resolve, reject) => {
+        const script = document.createElement('script');
+        script.src = src;
+        script.crossOrigin = 'anonymous';
+        script.onload = resolve;
+        script.onerror = () => {
+            script.remove();
+            reject(new Error(`Failed to load ${src}`));
+        };
+        document.head.appendChild(script);
+    });
+}
+
+// Colored ball tracking (also used as fallback when MediaPipe fails).
+// Detection itself lives in tracking-vision.js so the worker can share it.
+const colorTracker = {
+    get backend() {
+        return canUseTrackingWorker() ? 'worker' : 'main thread';
+    },
+    process() {
+        return canUseTrackingWorker() ? trackColorBallInWorker() : trackColorBall();
+    }
+};
+
+function trackColorBall() {
+    const canvas = elements.trackingCanvas;
+    const ctx = trackingCtx;
+    const started = performance.now();
+
+    drawCameraFrame(ctx, canvas);
+
+    const imageData = ctx.getImageData(0, 0, canvas.width, canvas.height);
+    const blob = detectColorBall(imageData, state.ballTarget, state.ballTolerance);
+    ctx.putImageData(imageData, 0, 0);
+
+    onColorBallResult(blob);
+    return performance.now() - started;
+}
+
+async function trackColorBallInWorker() {
+    const canvas = elements.trackingCanvas;
+
+    // Scaled down to the preview size before it leaves the main thread
+    const bitmap = await createImageBitmap(elements.webcamVideo, {
+        resizeWidth: canvas.width,
+        resizeHeight: canvas.height
+    });
+    const { blob, preview, inferenceMs } = await getTrackingWorker().call('colorFrame', {
+        bitmap,
+        mirror: state.camera.mirror,
+        target: state.ballTarget,
+        tolerance: state.ballTolerance
+    }, [bitmap]);
+
+    // The worker sends back the frame with matching pixels highlighted
+    trackingCtx.drawImage(preview, 0, 0);
+    preview.close();
+
+    onColorBallResult(blob);
+    return inferenceMs;
+}
+
+function onColorBallResult(blob) {
+    recordTrackingLatency(performance.now() - state.frameSentAt);
+
+    const canvas = elements.trackingCanvas;
+    const ctx = trackingCtx;
+
+    if (blob && blob.area >= CONFIG.minBlobSize) {
+        updateCursorPosition(0, blob.x / canvas.width, blob.y / canvas.height);
+
+        // Draw detection marker sized to the blob
+        ctx.strokeStyle = '#00ff88';
+        ctx.lineWidth = 3;
+        ctx.beginPath();
+        ctx.arc(blob.x, blob.y, blob.radius, 0, Math.PI * 2);
+        ctx.stroke();
+    } else {
+        markCursorLost(0);
+    }
+}
+
+function onHandResults(results) {
+    // Replays drive the cursors from the recording
+    if (state.replay) return;
+
+    recordTrackingLatency(performance.now() - state.frameSentAt);
+
+    const ctx = trackingCtx;
+    const canvas = elements.trackingCanvas;
+
+    ctx.clearRect(0, 0, canvas.width, canvas.height);
+    drawCameraFrame(ctx, canvas);
+
+    const seen = HAND_SLOTS.map(() => false);
+
+    (results.multiHandLandmarks || []).forEach((landmarks, i) => {
+        const handedness = results.multiHandedness && results.multiHandedness[i];
+        const slot = assignHandSlot(handedness, seen);
+        if (slot === -1) return;
+        seen[slot] = true;
+
+        const cursor = state.cursors[slot];
+
+        // Draw hand skeleton
+        drawHandSkeleton(ctx, landmarks, canvas, cursor);
+
+        updateGestureTracker(cursor.gestureTracker, landmarks, slot);
+
+        // Index finger tip (landmark 8)
+        const indexTip = landmarks[8];
+        updateCursorPosition(slot, cameraX(indexTip.x), indexTip.y);
+
+        if (state.debugMode) {
+            console.log(`👆 ${cursor.handedness} finger detected at:`, Math.round(cursor.x), Math.round(cursor.y));
+        }
+    });
+
+    seen.forEach((wasSeen, slot) => {
+        if (!wasSeen) {
+            markCursorLost(slot);
+        }
+    });
+
+    if (state.debugMode && !seen.some(Boolean) && Math.random() < 0.01) {
+        console.log('❌ No hand detected');
+    }
+}
+
+// MediaPipe labels handedness as if the image were mirrored. The frames it
+// gets aren't, so for a camera facing the player its "Left" is the
+// player's right hand; with mirroring off the camera faces the same way as
+// the player and labels are taken as-is. If both hands get the same label,
+// the second one takes the free slot.
+function assignHandSlot(handedness, seen) {
+    const label = handedness && handedness.label;
+    const playerLeft = state.camera.mirror ? 'Right' : 'Left';
+    let slot = label === playerLeft ? 1 : 0;
+
+    if (seen[slot]) slot = 1 - slot;
+    if (seen[slot]) return -1;
+    return slot;
+}
+
+function drawHandSkeleton(ctx, landmarks, canvas, cursor) {
+    // Connection pairs for hand skeleton
+    const connections = [
+        [0, 1], [1, 2], [2, 3], [3, 4],
+        [0, 5], [5, 6], [6, 7], [7, 8],
+        [0, 9], [9, 10], [10, 11], [11, 12],
+        [0, 13], [13, 14], [14, 15], [15, 16],
+        [0, 17], [17, 18], [18, 19], [19, 20],
+        [5, 9], [9, 13], [13, 17]
+    ];
+
+    // Draw connections
+    ctx.strokeStyle = 'rgba(0, 245, 255, 0.8)';
+    ctx.lineWidth = 2;
+
+    connections.forEach(([i, j]) => {
+        const start = landmarks[i];
+        const end = landmarks[j];
+        ctx.beginPath();
+        ctx.moveTo(cameraX(start.x) * canvas.width, start.y * canvas.height);
+        ctx.lineTo(cameraX(end.x) * canvas.width, end.y * canvas.height);
+        ctx.stroke();
+    });
+
+    // Draw landmarks
+    landmarks.forEach((landmark, i) => {
+        const x = cameraX(landmark.x) * canvas.width;
+        const y = landmark.y * canvas.height;
+
+        // Highlight index finger tip (landmark 8)
+        if (i === 8) {
+            ctx.fillStyle = `rgb(${getCursorColor(cursor)})`;
+            ctx.shadowColor = `rgb(${getCursorColor(cursor)})`;
+            ctx.shadowBlur = 20;
+            ctx.beginPath();
+            ctx.arc(x, y, 10, 0, Math.PI * 2);
+            ctx.fill();
+            ctx.shadowBlur = 0;
+
+            // Add label
+            ctx.fillStyle = '#ffffff';
+            ctx.font = 'bold 12px Arial';
+            ctx.fillText(game && game.state.coop ? HAND_SLOTS[cursor.slot].label : 'INDEX', x + 15, y);
+        } else {
+            ctx.fillStyle = '#00f5ff';
+            ctx.beginPath();
+            ctx.arc(x, y, 4, 0, Math.PI * 2);
+            ctx.fill();
+        }
+    });
+}
+
+function createCursor(slot) {
+    return {
+        slot,
+        handedness: HAND_SLOTS[slot].handedness,
+        color: HAND_SLOTS[slot].color,
+        x: 0,
+        y: 0,
+        detected: false,
+        history: [],
+        filter: null, // Created on first input for the active provider
+        gestureTracker: createGestureTracker()
+    };
+}
+
+function isAnyCursorDetected() {
+    return state.cursors.some(cursor => cursor.detected);
+}
+
+function lerp(a, b, t) {
+    return a + (b - a) * t;
+}
+
+// ============================================
+// GESTURES
+// ============================================
+// Landmark indices: [tip, middle joint] for index, middle, ring, pinky
+const FINGER_JOINTS = [[8, 6], [12, 10], [16, 14], [20, 18]];
+
+function createGestureTracker() {
+    return {
+        extended: [false, false, false, false],
+        pinched: false,
+        candidate: 'none',
+        candidateFrames: 0,
+        gesture: 'none',
+        since: 0,
+        fired: false
+    };
+}
+
+function resetGestureTracker(tracker) {
+    Object.assign(tracker, createGestureTracker());
+}
+
+// Per-finger and pinch states use separate enter/exit thresholds so a
+// hand sitting right at a threshold doesn't flicker between poses
+function classifyGesture(tracker, landmarks) {
+    const wrist = landmarks[0];
+    const dist = (a, b) => Math.hypot(a.x - b.x, a.y - b.y);
+    const palmSize = dist(wrist, landmarks[9]) || 1e-6;
+
+    FINGER_JOINTS.forEach(([tip, pip], i) => {
+        const ratio = dist(landmarks[tip], wrist) / (dist(landmarks[pip], wrist) || 1e-6);
+        if (tracker.extended[i]) {
+            tracker.extended[i] = ratio > CONFIG.fingerExtendExit;
+        } else {
+            tracker.extended[i] = ratio > CONFIG.fingerExtendEnter;
+        }
+    });
+
+    const pinchDistance = dist(landmarks[4], landmarks[8]) / palmSize;
+    if (tracker.pinched) {
+        tracker.pinched = pinchDistance < CONFIG.pinchExit;
+    } else {
+        tracker.pinched = pinchDistance < CONFIG.pinchEnter;
+    }
+
+    const [index, middle, ring, pinky] = tracker.extended;
+    const extendedCount = tracker.extended.filter(Boolean).length;
+
+    if (tracker.pinched) return 'pinch';
+    if (extendedCount === 0) return 'fist';
+    if (extendedCount === 4) return 'openPalm';
+    if (index && middle && !ring && !pinky) return 'victory';
+    return 'none';
+}
+
+function updateGestureTracker(tracker, landmarks, slot) {
+    const candidate = classifyGesture(tracker, landmarks);
+
+    // Debounce: a new pose must be seen for several frames in a row
+    if (candidate === tracker.candidate) {
+        tracker.candidateFrames++;
+    } else {
+        tracker.candidate = candidate;
+        tracker.candidateFrames = 1;
+    }
+
+    const now = performance.now();
+
+    if (candidate !== tracker.gesture && tracker.candidateFrames >= CONFIG.gestureStableFrames) {
+        tracker.gesture = candidate;
+        tracker.since = now;
+        tracker.fired = false;
+    }
+
+    // Fire each held gesture once; it has to be released to fire again
+    const binding = GESTURE_BINDINGS[tracker.gesture];
+    if (binding && !tracker.fired && now - tracker.since >= binding.holdTime) {
+        tracker.fired = true;
+        triggerAction(binding.action, slot);
+    }
+}
+
+function triggerAction(action, slot) {
+    if (!state.isPlaying) return;
+
+    if (action === 'pause') {
+        togglePause();
+        return;
+    }
+
+    // Gameplay actions are applied on the next simulation step
+    if (!state.isPaused) {
+        state.pendingActions.push({ action, slot });
+    }
+}
+
+function updateBombBlasts(deltaTime) {
+    const frames = deltaTime / REFERENCE_FRAME_TIME;
+
+    for (let i = state.bombBlasts.length - 1; i >= 0; i--) {
+        const blast = state.bombBlasts[i];
+        blast.radius += (CONFIG.bombRadius - blast.radius) * 0.2 * frames;
+        blast.life -= 0.03 * frames;
+
+        if (blast.life <= 0) {
+            state.bombBlasts.splice(i, 1);
+        }
+    }
+}
+
+// ============================================
+// PARTICLE EFFECTS
+// ============================================
+// Particles are only for show, so they don't draw from the round's rng
+function createExplosion(x, y, size) {
+    const particleCount = isReducedMotion() ? 0 : Math.floor(CONFIG.particleCount * (size / 30));
+    playExplosion(size);
+
+    for (let i = 0; i < particleCount; i++) {
+        const angle = Math.random() * Math.PI * 2;
+        const speed = 2 + Math.random() * 5;
+        const hue = Math.random() * 60 + 10;
+
+        state.particles.push({
+            x, y,
+            vx: Math.cos(angle) * speed,
+            vy: Math.sin(angle) * speed,
+            radius: 3 + Math.random() * 5,
+            life: 1,
+            decay: 0.02 + Math.random() * 0.02,
+            hue
+        });
+    }
+}
+
+function updateParticles(deltaTime) {
+    const frames = deltaTime / REFERENCE_FRAME_TIME;
+    const velocityDamping = Math.pow(0.98, frames);
+    const radiusDamping = Math.pow(0.97, frames);
+
+    for (let i = state.particles.length - 1; i >= 0; i--) {
+        const p = state.particles[i];
+
+        p.x += p.vx * frames;
+        p.y += p.vy * frames;
+        p.vx *= velocityDamping;
+        p.vy *= velocityDamping;
+        p.life -= p.decay * frames;
+        p.radius *= radiusDamping;
+
+        if (p.life <= 0 || p.radius < 0.5) {
+            state.particles.splice(i, 1);
+        }
+    }
+}
+
+function shakeScreen(intensity) {
+    if (!CONFIG.screenShake || isReducedMotion()) return;
+
+    state.screenShake.intensity = intensity;
+}
+
+function updateScreenShake(deltaTime) {
+    const frames = deltaTime / REFERENCE_FRAME_TIME;
+    state.screenShake.intensity *= Math.pow(0.9, frames);
+
+    if (state.screenShake.intensity < 0.1) {
+        state.screenShake.intensity = 0;
+    }
+}
+
+// ============================================
+// SOUND
+// ============================================
+// Every effect is synthesized on the fly, so there is nothing to
+// download. Nothing plays until initAudio() runs from a click, which is
+// what browser autoplay rules require.
+const AUDIO_DEFAULTS = { master: 0.8, sfx: 0.8, music: 0.5, muted: false };
+
+const audio = {
+    context: null,
+    masterGain: null,
+    sfxGain: null,
+    musicGain: null,
+    noiseBuffer: null,
+    drone: null,
+    settings: loadAudioSettings()
+};
+
+function loadAudioSettings() {
+    try {
+        const saved = JSON.parse(localStorage.getItem('asteroidAudio'));
+        if (saved && typeof saved === 'object') {
+            return { ...AUDIO_DEFAULTS, ...saved };
+        }
+    } catch (err) {
+        console.warn('⚠️ Ignoring invalid audio settings:', err);
+    }
+    return { ...AUDIO_DEFAULTS };
+}
+
+function saveAudioSettings() {
+    localStorage.setItem('asteroidAudio', JSON.stringify(audio.settings));
+}
+
+function initAudio() {
+    if (audio.context) {
+        audio.context.resume();
+        return;
+    }
+
+    const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+    if (!AudioContextClass) {
+        console.warn('⚠️ Web Audio not supported, playing silently');
+        return;
+    }
+
+    const context = new AudioContextClass();
+    audio.context = context;
+    audio.masterGain = context.createGain();
+    audio.masterGain.connect(context.destination);
+    audio.sfxGain = context.createGain();
+    audio.sfxGain.connect(audio.masterGain);
+    audio.musicGain = context.createGain();
+    audio.musicGain.connect(audio.masterGain);
+
+    // One second of white noise, reused by every explosion
+    audio.noiseBuffer = context.createBuffer(1, context.sampleRate, context.sampleRate);
+    const samples = audio.noiseBuffer.getChannelData(0);
+    for (let i = 0; i < samples.length; i++) {
+        samples[i] = Math.random() * 2 - 1;
+    }
+
+    applyAudioSettings();
+    console.log('🔊 Audio ready');
+}
+
+function setAudioSetting(key, value) {
+    audio.settings[key] = value;
+    saveAudioSettings();
+    applyAudioSettings();
+}
+
+function applyAudioSettings() {
+    const { master, sfx, music, muted } = audio.settings;
+
+    elements.muteToggle.checked = muted;
+    [['master', master], ['sfx', sfx], ['music', music]].forEach(([key, value]) => {
+        elements[`${key}Volume`].value = Math.round(value * 100);
+        elements[`${key}VolumeValue`].textContent = `${Math.round(value * 100)}%`;
+    });
+
+    if (!audio.context) return;
+
+    const now = audio.context.currentTime;
+    audio.masterGain.gain.setTargetAtTime(muted ? 0 : master, now, 0.02);
+    audio.sfxGain.gain.setTargetAtTime(sfx, now, 0.02);
+    audio.musicGain.gain.setTargetAtTime(music, now, 0.02);
+}
+
+function toggleMute() {
+    setAudioSetting('muted', !audio.settings.muted);
+}
+
+// Attack/decay envelope on a fresh gain node routed to the SFX bus
+function createEnvelope(peak, attack, duration) {
+    const now = audio.context.currentTime;
+    const gain = audio.context.createGain();
+    gain.gain.setValueAtTime(0.0001, now);
+    gain.gain.exponentialRampToValueAtTime(peak, now + attack);
+    gain.gain.exponentialRampToValueAtTime(0.0001, now + duration);
+    gain.connect(audio.sfxGain);
+    return gain;
+}
+
+// pan runs from -1 (left) to 1 (right)
+function playTone({ type = 'sine', frequency, slideTo = frequency, volume = 0.2, duration = 0.15, delay = 0, pan = 0 }) {
+    if (!audio.context) return;
+
+    const start = audio.context.currentTime + delay;
+    const osc = audio.context.createOscillator();
+    const gain = audio.context.createGain();
+
+    osc.type = type;
+    osc.frequency.setValueAtTime(frequency, start);
+    osc.frequency.exponentialRampToValueAtTime(slideTo, start + duration);
+    gain.gain.setValueAtTime(0.0001, start);
+    gain.gain.exponentialRampToValueAtTime(volume, start + 0.01);
+    gain.gain.exponentialRampToValueAtTime(0.0001, start + duration);
+
+    osc.connect(gain);
+    if (pan && audio.context.createStereoPanner) {
+        const panner = audio.context.createStereoPanner();
+        panner.pan.value = pan;
+        gain.connect(panner);
+        panner.connect(audio.sfxGain);
+    } else {
+        gain.connect(audio.sfxGain);
+    }
+    osc.start(start);
+    osc.stop(start + duration + 0.05);
+}
+
+// Filtered noise burst plus a low thump; bigger rocks are louder,
+// lower and longer
+function playExplosion(radius) {
+    if (!audio.context) return;
+
+    const size = Math.min(1, radius / 60);
+    const duration = 0.25 + size * 0.6;
+
+    const noise = audio.context.createBufferSource();
+    noise.buffer = audio.noiseBuffer;
+    const filter = audio.context.createBiquadFilter();
+    filter.type = 'lowpass';
+    filter.frequency.value = 2500 - size * 1900;
+
+    noise.connect(filter);
+    filter.connect(createEnvelope(0.15 + size * 0.35, 0.005, duration));
+    noise.start();
+    noise.stop(audio.context.currentTime + duration);
+
+    playTone({ frequency: 140 - size * 80, slideTo: 30, volume: 0.2 + size * 0.3, duration });
+}
+
+// Each combo step climbs two semitones
+function playComboTone(combo) {
+    const frequency = 440 * Math.pow(2, ((combo - 1) * 2) / 12);
+    playTone({ type: 'triangle', frequency, slideTo: frequency * 1.06, volume: 0.15, duration: 0.12 });
+}
+
+function playLifeLost() {
+    playTone({ type: 'sawtooth', frequency: 220, slideTo: 55, volume: 0.3, duration: 0.5 });
+    playTone({ type: 'square', frequency: 110, slideTo: 40, volume: 0.15, duration: 0.6 });
+}
+
+function playGameOver() {
+    [392, 330, 262, 196].forEach((frequency, i) => {
+        playTone({ type: 'square', frequency, volume: 0.15, duration: 0.35, delay: i * 0.22 });
+    });
+}
+
+// Asteroids that already got their warning; cleared with the round
+let cuedAsteroids = new WeakSet();
+
+// Warns once per asteroid as it closes in on the target. The beep is
+// panned to where it is coming from and pitched higher toward the top of
+// the screen; bosses growl lower.
+function cueIncomingAsteroids() {
+    if (!CONFIG.audioCues || !audio.context) return;
+
+    const target = game.getTarget();
+    if (!target) return;
+
+    const { width, height } = game.state.world;
+    game.state.asteroids.forEach(asteroid => {
+        if (cuedAsteroids.has(asteroid)) return;
+        if (Math.hypot(asteroid.x - target.x, asteroid.y - target.y) > CONFIG.audioCueDistance) return;
+
+        cuedAsteroids.add(asteroid);
+        const pan = Math.max(-1, Math.min(1, (asteroid.x / width) * 2 - 1));
+        const height01 = 1 - Math.max(0, Math.min(1, asteroid.y / height));
+        playTone({
+            type: asteroid.boss ? 'sawtooth' : 'sine',
+            frequency: (asteroid.boss ? 150 : 400) + height01 * 500,
+            volume: 0.12,
+            duration: 0.12,
+            pan
+        });
+    });
+}
+
+function playAchievementTone() {
+    [523, 659, 784, 1047].forEach((frequency, i) => {
+        playTone({ type: 'triangle', frequency, volume: 0.12, duration: 0.2, delay: i * 0.08 });
+    });
+}
+
+// Two detuned saws under a slowly swept lowpass. setDroneTension opens
+// the filter, raises the pitch and speeds up the sweep as waves climb.
+function startDrone() {
+    if (!audio.context) return;
+    stopDrone();
+
+    const context = audio.context;
+    const filter = context.createBiquadFilter();
+    filter.type = 'lowpass';
+    filter.Q.value = 6;
+    const output = context.createGain();
+    output.gain.value = 0.0001;
+    output.gain.setTargetAtTime(0.12, context.currentTime, 1.5);
+    filter.connect(output);
+    output.connect(audio.musicGain);
+
+    const oscillators = [0, 7].map(detune => {
+        const osc = context.createOscillator();
+        osc.type = 'sawtooth';
+        osc.detune.value = detune;
+        osc.connect(filter);
+        osc.start();
+        return osc;
+    });
+
+    const lfo = context.createOscillator();
+    const lfoDepth = context.createGain();
+    lfoDepth.gain.value = 120;
+    lfo.connect(lfoDepth);
+    lfoDepth.connect(filter.frequency);
+    lfo.start();
+
+    audio.drone = { oscillators, lfo, filter, output };
+    setDroneTension(game.state.wave.number);
+}
+
+function setDroneTension(waveNumber) {
+    if (!audio.drone) return;
+
+    const tension = Math.min(1, (waveNumber - 1) / 15);
+    const now = audio.context.currentTime;
+    const { oscillators, lfo, filter } = audio.drone;
+
+    oscillators.forEach(osc => osc.frequency.setTargetAtTime(55 * (1 + tension * 0.5), now, 2));
+    filter.frequency.setTargetAtTime(220 + tension * 900, now, 2);
+    lfo.frequency.setTargetAtTime(0.1 + tension * 1.5, now, 2);
+}
+
+function stopDrone() {
+    if (!audio.drone) return;
+
+    const { oscillators, lfo, output } = audio.drone;
+    const stopAt = audio.context.currentTime + 1;
+    output.gain.setTargetAtTime(0.0001, audio.context.currentTime, 0.25);
+    oscillators.forEach(osc => osc.stop(stopAt));
+    lfo.stop(stopAt);
+    audio.drone = null;
+}
+
+// Freeze sound along with the game
+function suspendAudio() {
+    if (audio.context) {
+        audio.context.suspend();
+    }
+}
+
+function resumeAudio() {
+    if (audio.context) {
+        audio.context.resume();
+    }
+}
+
+// For rounds started without a click (the camera fallback countdown), the
+// browser keeps the context suspended until the player interacts, so the
+// sound comes in on the first tap or key press. Which pointer event counts
+// as interaction depends on the pointer type, so both are watched until
+// the context is running. Pausing still silences it.
+const AUDIO_GESTURE_EVENTS = ['pointerdown', 'pointerup', 'keydown'];
+
+function resumeAudioOnNextGesture() {
+    const resume = () => {
+        if (audio.context && audio.context.state === 'running') {
+            AUDIO_GESTURE_EVENTS.forEach(type => window.removeEventListener(type, resume, true));
+        } else if (!state.isPaused) {
+            resumeAudio();
+        }
+    };
+    AUDIO_GESTURE_EVENTS.forEach(type => window.addEventListener(type, resume, true));
+}
+
+// ============================================
+// GAME SETTINGS
+// ============================================
+// The settings screen edits CONFIG through CONFIG_SETTINGS. Values that
+// differ from the defaults are saved under 'asteroidSettings'. URL query
+// parameters named after a setting, plus ?preset=easy|normal|hard,
+// override them for one visit without being saved, e.g.
+// ?preset=hard&cursorRadius=90.
+const configInputs = {}; // key -> { input, output } on the settings screen
+
+function getConfigSetting(key) {
+    const group = Object.values(CONFIG_SETTINGS).find(g => Object.hasOwn(g.settings, key));
+    return group ? group.settings[key] : null;
+}
+
+// Returns the value converted to the setting's type and range, or
+// undefined if it can't be used. Takes strings so URL parameters and form
+// inputs go through the same checks.
+function validateConfigValue(key, value) {
+    const setting = getConfigSetting(key);
+    if (!setting) return undefined;
+
+    if (setting.choices) {
+        return Object.hasOwn(setting.choices, value) ? value : undefined;
+    }
+
+    if (typeof CONFIG_DEFAULTS[key] === 'boolean') {
+        if (typeof value === 'boolean') return value;
+        if (value === 'true' || value === '1') return true;
+        if (value === 'false' || value === '0') return false;
+        return undefined;
+    }
+
+    const number = typeof value === 'string' ? parseFloat(value) : value;
+    if (typeof number !== 'number' || !Number.isFinite(number)) return undefined;
+
+    const clamped = Math.max(setting.min, Math.min(setting.max, number));
+    const snapped = setting.min + Math.round((clamped - setting.min) / setting.step) * setting.step;
+    return Number(Math.min(snapped, setting.max).toFixed(getStepDecimals(setting.step)));
+}
+
+function getStepDecimals(step) {
+    return (String(step).split('.')[1] || '').length;
+}
+
+function sanitizeConfigValues(values) {
+    const clean = {};
+    Object.entries(values).forEach(([key, value]) => {
+        const valid = validateConfigValue(key, value);
+        if (valid !== undefined) clean[key] = valid;
+    });
+    return clean;
+}
+
+function getEffectiveConfig(overrides = configOverrides) {
+    return { ...CONFIG_DEFAULTS, ...overrides.saved, ...overrides.url };
+}
+
+// A preset sets every key any preset touches, so switching presets never
+// leaves a value from the previous one behind
+function getPresetValues(preset) {
+    const values = {};
+    Object.values(CONFIG_PRESETS).forEach(other => {
+        Object.keys(other.values).forEach(key => {
+            values[key] = CONFIG_DEFAULTS[key];
+        });
+    });
+    return Object.assign(values, preset.values);
+}
+
+function loadConfigOverrides() {
+    const overrides = { saved: {}, url: {} };
+
+    try {
+        const saved = JSON.parse(localStorage.getItem('asteroidSettings'));
+        if (saved && typeof saved === 'object') {
+            overrides.saved = sanitizeConfigValues(saved);
+        }
+    } catch (err) {
+        console.warn('⚠️ Ignoring invalid settings:', err);
+    }
+
+    const params = new URLSearchParams(window.location.search);
+    const url = {};
+    const preset = params.get('preset');
+    if (Object.hasOwn(CONFIG_PRESETS, preset)) {
+        Object.assign(url, getPresetValues(CONFIG_PRESETS[preset]));
+    }
+    params.forEach((value, key) => {
+        if (getConfigSetting(key)) url[key] = value;
+    });
+    overrides.url = sanitizeConfigValues(url);
+
+    // Values that only break together fall back to the defaults
+    const config = getEffectiveConfig(overrides);
+    CONFIG_RULES.filter(rule => !rule.check(config)).forEach(rule => {
+        console.warn('⚠️ Ignoring settings:', rule.message);
+        rule.keys.forEach(key => {
+            delete overrides.saved[key];
+            delete overrides.url[key];
+        });
+    });
+
+    if (Object.keys(overrides.url).length > 0) {
+        console.log('🔗 Settings from the URL:', overrides.url);
+    }
+    return overrides;
+}
+
+function saveConfigOverrides() {
+    localStorage.setItem('asteroidSettings', JSON.stringify(configOverrides.saved));
+}
+
+// Validates and applies a batch of changes. A refused batch leaves CONFIG
+// untouched and says why on the settings screen. Returns whether it applied.
+function updateConfigSettings(values) {
+    const changes = sanitizeConfigValues(values);
+    const broken = CONFIG_RULES.find(rule => !rule.check({ ...getEffectiveConfig(), ...changes }));
+    if (broken) {
+        showConfigError(broken.message);
+        syncConfigSettings();
+        return false;
+    }
+
+    Object.entries(changes).forEach(([key, value]) => {
+        // Editing a value takes it over from the URL
+        delete configOverrides.url[key];
+        if (value === CONFIG_DEFAULTS[key]) {
+            delete configOverrides.saved[key];
+        } else {
+            configOverrides.saved[key] = value;
+        }
+    });
+
+    saveConfigOverrides();
+    applyConfigSettings();
+    return true;
+}
+
+function applyConfigPreset(name) {
+    updateConfigSettings(getPresetValues(CONFIG_PRESETS[name]));
+}
+
+function resetConfigSettings() {
+    configOverrides.saved = {};
+    configOverrides.url = {};
+    saveConfigOverrides();
+    applyConfigSettings();
+}
+
+function applyConfigSettings() {
+    // A replay runs on its recorded CONFIG; the new values take over when it
+    // ends. A live round keeps the rules it started with until it is over.
+    Object.assign(
+        state.replay ? state.replay.savedConfig : CONFIG,
+        getEffectiveConfig(),
+        getRoundRules()
+    );
+    if (state.replay) {
+        Object.assign(CONFIG, getAccessibilityConfig());
+    }
+    applyAccessibilitySettings();
+
+    // Filters are built from CONFIG on the next input
+    state.cursors.forEach(cursor => {
+        cursor.filter = null;
+    });
+
+    showConfigError(null);
+    syncConfigSettings();
+}
+
+// The CORE_CONFIG values of the live round, as recorded when it started,
+// or null between rounds. The core reads CONFIG on every step, so changing
+// them mid-round would make the replay differ from the run.
+function getRoundRules() {
+    if (!state.isPlaying || state.replay || !state.recording) return null;
+
+    const { config } = state.recording;
+    return Object.fromEntries(Object.keys(CORE_CONFIG).map(key => [key, config[key]]));
+}
+
+function getActivePreset() {
+    const config = getEffectiveConfig();
+    return Object.keys(CONFIG_PRESETS).find(name =>
+        Object.entries(getPresetValues(CONFIG_PRESETS[name])).every(([key, value]) => config[key] === value)
+    );
+}
+
+function formatConfigValue(setting, value) {
+    const text = value.toFixed(getStepDecimals(setting.step));
+    return setting.unit ? `${text} ${setting.unit}` : text;
+}
+
+function showConfigError(message) {
+    elements.configError.textContent = message || '';
+    elements.configError.classList.toggle('hidden', !message);
+}
+
+function createConfigSettings() {
+    elements.configPresets.replaceChildren(...Object.entries(CONFIG_PRESETS).map(([name, preset]) => {
+        const btn = document.createElement('button');
+        btn.className = 'secondary-btn';
+        btn.dataset.preset = name;
+        btn.textContent = preset.label;
+        btn.addEventListener('click', () => applyConfigPreset(name));
+        return btn;
+    }));
+
+    elements.configSettings.replaceChildren(...Object.values(CONFIG_SETTINGS).map(group => {
+        const section = document.createElement('details');
+        section.className = 'settings-section settings-group';
+
+        const summary = document.createElement('summary');
+        summary.textContent = group.label;
+        section.appendChild(summary);
+
+        Object.entries(group.settings).forEach(([key, setting]) => {
+            section.appendChild(createConfigControl(key, setting));
+        });
+        return section;
+    }));
+
+    syncConfigSettings();
+}
+
+function createConfigControl(key, setting) {
+    const label = document.createElement('label');
+    let input;
+    let output = null;
+
+    if (typeof CONFIG_DEFAULTS[key] === 'boolean') {
+        label.className = 'coop-toggle';
+        input = document.createElement('input');
+        input.type = 'checkbox';
+        const text = document.createElement('span');
+        text.textContent = setting.label;
+        label.append(input, text);
+        input.addEventListener('change', () => updateConfigSettings({ [key]: input.checked }));
+    } else if (setting.choices) {
+        label.className = 'tolerance-control';
+        input = document.createElement('select');
+        input.append(...Object.entries(setting.choices).map(([value, text]) => new Option(text, value)));
+        label.append(setting.label, input);
+        input.addEventListener('change', () => updateConfigSettings({ [key]: input.value }));
+    } else {
+        label.className = 'tolerance-control';
+        input = document.createElement('input');
+        input.type = 'range';
+        input.min = setting.min;
+        input.max = setting.max;
+        input.step = setting.step;
+        output = document.createElement('span');
+        output.className = 'settings-value';
+        label.append(setting.label, input, output);
+        input.addEventListener('input', () => updateConfigSettings({ [key]: input.value }));
+    }
+
+    configInputs[key] = { input, output };
+    return label;
+}
+
+// Puts the current values into the controls
+function syncConfigSettings() {
+    const config = getEffectiveConfig();
+
+    Object.entries(configInputs).forEach(([key, { input, output }]) => {
+        const value = config[key];
+        if (input.type === 'checkbox') {
+            input.checked = value;
+        } else {
+            input.value = value;
+        }
+        if (output) {
+            output.textContent = formatConfigValue(getConfigSetting(key), value);
+        }
+    });
+
+    const active = getActivePreset();
+    elements.configPresets.querySelectorAll('[data-preset]').forEach(btn => {
+        btn.classList.toggle('active', btn.dataset.preset === active);
+    });
+
+    const fromUrl = Object.keys(configOverrides.url);
+    elements.configUrlHint.textContent = `🔗 Set by the page URL for this visit: ${fromUrl.join(', ')}`;
+    elements.configUrlHint.classList.toggle('hidden', fromUrl.length === 0);
+}
+
+// ============================================
+// ACCESSIBILITY
+// ============================================
+// Motion, colors, reach and screen reader output, all set from the
+// accessibility group of the settings screen. These follow whoever is
+// watching, so replays keep the viewer's values instead of the recorded ones.
+const ACCESSIBILITY_KEYS = Object.keys(CONFIG_SETTINGS.accessibility.settings);
+
+const reducedMotionQuery = window.matchMedia('(prefers-reduced-motion: reduce)');
+reducedMotionQuery.addEventListener('change', applyAccessibilitySettings);
+
+// Colors as 'r, g, b' replacing the default look; cursors are per hand slot
+const PALETTES = {
+    default: null,
+    highContrast: {
+        asteroid: '25, 25, 25',
+        outline: '255, 255, 255',
+        cursors: ['255, 230, 0', '0, 230, 255'],
+        center: '255, 255, 255'
+    },
+    // Okabe-Ito colors, told apart with any kind of color blindness
+    colorblind: {
+        asteroid: '0, 114, 178',
+        outline: '86, 180, 233',
+        cursors: ['230, 159, 0', '240, 228, 66'],
+        center: '213, 94, 0'
+    }
+};
+
+function getAccessibilityConfig() {
+    const config = getEffectiveConfig();
+    return Object.fromEntries(ACCESSIBILITY_KEYS.map(key => [key, config[key]]));
+}
+
+function isReducedMotion() {
+    if (CONFIG.reducedMotion === 'auto') return reducedMotionQuery.matches;
+    return CONFIG.reducedMotion === 'on';
+}
+
+function getPalette() {
+    return PALETTES[CONFIG.palette] || null;
+}
+
+function getCursorColor(cursor) {
+    const palette = getPalette();
+    return palette ? palette.cursors[cursor.slot] : cursor.color;
+}
+
+// CSS animations (stars, glowing buttons) stop along with the canvas ones
+function applyAccessibilitySettings() {
+    document.body.classList.toggle('reduced-motion', isReducedMotion());
+}
+
+// Small movement mode: a reach of 1 / movementScale around the middle of
+// the calibrated region covers the whole screen
+function scaleHandMotion(nx, ny) {
+    const scale = CONFIG.movementScale;
+    return [
+        Math.max(0, Math.min(1, 0.5 + (nx - 0.5) * scale)),
+        Math.max(0, Math.min(1, 0.5 + (ny - 0.5) * scale))
+    ];
+}
+
+function announce(message) {
+    elements.announcer.textContent = message;
+}
+
+// ============================================
+// RENDERING
+// ============================================
+function render() {
+    const ctx = gameCtx;
+    const canvas = elements.gameCanvas;
+
+    ctx.clearRect(0, 0, canvas.width, canvas.height);
+
+    ctx.save();
+    if (state.screenShake.intensity > 0) {
+        const shakeX = (Math.random() - 0.5) * state.screenShake.intensity;
+        const shakeY = (Math.random() - 0.5) * state.screenShake.intensity;
+        ctx.translate(shakeX, shakeY);
+    }
+
+    drawSlowMoField(ctx, canvas);
+    drawCenterZone(ctx, canvas);
+    drawShield(ctx);
+    drawAsteroids(ctx);
+    drawPickups(ctx);
+    drawParticles(ctx);
+    drawBombBlasts(ctx);
+
+    const activeCursors = getDrawnCursors();
+    if (activeCursors.length > 0) {
+        activeCursors.forEach(cursor => drawFingerCursor(ctx, cursor));
+    } else {
+        // Draw "No hand detected" message
+        drawNoHandMessage(ctx, canvas);
+    }
+
+    ctx.restore();
+
+    drawWaveBanner(ctx, canvas);
+
+    if (state.resumeCountdown > 0) {
+        drawResumeCountdown(ctx, canvas);
+    }
+}
+
+// Detected cursors plus, with the mirror power-up, a copy of each one
+// reflected across the vertical center line, as the simulation sees them
+function getDrawnCursors() {
+    const cursors = state.cursors.filter(cursor => cursor.detected);
+    if (!game.isPowerUpActive('mirror')) return cursors;
+
+    const width = game.state.world.width;
+    const mirror = point => ({ ...point, x: width - point.x });
+
+    return cursors.concat(cursors.map(cursor => ({
+        ...mirror(cursor),
+        mirrored: true,
+        history: cursor.history.map(mirror)
+    })));
+}
+
+function drawResumeCountdown(ctx, canvas) {
+    const seconds = Math.ceil(state.resumeCountdown / 1000);
+    const progress = (state.resumeCountdown % 1000) / 1000;
+
+    ctx.save();
+    ctx.fillStyle = `rgba(0, 245, 255, ${0.4 + progress * 0.6})`;
+    ctx.shadowColor = '#00f5ff';
+    ctx.shadowBlur = 30;
+    ctx.font = `900 ${120 + progress * 60}px Orbitron, sans-serif`;
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    ctx.fillText(seconds, canvas.width / 2, canvas.height / 2);
+    ctx.restore();
+}
+
+function drawNoHandMessage(ctx, canvas) {
+    const message = getInputProvider().lostMessage;
+
+    ctx.fillStyle = 'rgba(255, 100, 100, 0.8)';
+    ctx.font = 'bold 24px Orbitron, sans-serif';
+    ctx.textAlign = 'center';
+    ctx.fillText(message, canvas.width / 2, 100);
+}
+
+function drawCenterZone(ctx, canvas) {
+    // In dodge the player is the target
+    if (GAME_MODES[game.state.mode].target === 'cursor') return;
+
+    const centerX = canvas.width / 2;
+    const centerY = canvas.height / 2;
+    const pulse = isReducedMotion() ? 1 : Math.sin(Date.now() / 500) * 0.2 + 0.8;
+    const palette = getPalette();
+    const color = palette ? palette.center : '255, 50, 50';
+
+    ctx.strokeStyle = palette ? `rgba(${color}, ${0.6 * pulse})` : `rgba(255, 100, 100, ${0.3 * pulse})`;
+    ctx.lineWidth = palette ? 3 : 2;
+    ctx.beginPath();
+    ctx.arc(centerX, centerY, 60, 0, Math.PI * 2);
+    ctx.stroke();
+
+    const gradient = ctx.createRadialGradient(centerX, centerY, 0, centerX, centerY, 50);
+    gradient.addColorStop(0, `rgba(${color}, ${0.3 * pulse})`);
+    gradient.addColorStop(1, `rgba(${color}, 0)`);
+    ctx.fillStyle = gradient;
+    ctx.beginPath();
+    ctx.arc(centerX, centerY, 50, 0, Math.PI * 2);
+    ctx.fill();
+}
+
+function drawShield(ctx) {
+    const target = game.getTarget();
+    if (!game.isShieldActive() || !target) return;
+
+    const { shieldUntil, powerUps, gameTime, mode } = game.state;
+    const remaining = GAME_MODES[mode].shielded ? Infinity : Math.max(shieldUntil, powerUps.shield || 0) - gameTime;
+    // Flicker during the last second so players know it's about to drop,
+    // or just dim with reduced motion
+    let alpha = 0.8;
+    if (remaining < 1000) {
+        alpha = isReducedMotion() ? 0.4 : 0.4 + 0.4 * Math.abs(Math.sin(remaining / 80));
+    }
+
+    ctx.save();
+    ctx.strokeStyle = `rgba(0, 245, 255, ${alpha})`;
+    ctx.fillStyle = `rgba(0, 245, 255, ${alpha * 0.1})`;
+    ctx.shadowColor = '#00f5ff';
+    ctx.shadowBlur = 25;
+    ctx.lineWidth = 4;
+    ctx.beginPath();
+    ctx.arc(target.x, target.y, CONFIG.shieldRadius, 0, Math.PI * 2);
+    ctx.fill();
+    ctx.stroke();
+    ctx.restore();
+}
+
+// Blue tint toward the edges while asteroids are slowed
+function drawSlowMoField(ctx, canvas) {
+    if (!game.isPowerUpActive('slowMo')) return;
+
+    const remaining = game.state.powerUps.slowMo - game.state.gameTime;
+    const alpha = remaining < 1000 ? remaining / 1000 * 0.25 : 0.25;
+    const radius = Math.hypot(canvas.width, canvas.height) / 2;
+    const gradient = ctx.createRadialGradient(
+        canvas.width / 2, canvas.height / 2, radius * 0.4,
+        canvas.width / 2, canvas.height / 2, radius
+    );
+    gradient.addColorStop(0, 'rgba(120, 200, 255, 0)');
+    gradient.addColorStop(1, `rgba(120, 200, 255, ${alpha})`);
+
+    ctx.fillStyle = gradient;
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+}
+
+function drawPickups(ctx) {
+    game.state.pickups.forEach(pickup => {
+        const type = POWER_UP_CONFIG.types[pickup.type];
+        const remaining = pickup.expiresAt - game.state.gameTime;
+        const reducedMotion = isReducedMotion();
+        // Blink during the last two seconds, or fade without flashing
+        const expiring = remaining < 2000;
+        if (expiring && !reducedMotion && Math.floor(remaining / 150) % 2 === 0) return;
+
+        const pulse = reducedMotion ? 1 : 1 + Math.sin(game.state.gameTime / 200) * 0.1;
+        const radius = POWER_UP_CONFIG.radius * pulse;
+
+        ctx.save();
+        if (expiring && reducedMotion) {
+            ctx.globalAlpha = 0.5;
+        }
+        ctx.fillStyle = `rgba(${type.color}, 0.25)`;
+        ctx.strokeStyle = `rgb(${type.color})`;
+        ctx.shadowColor = `rgb(${type.color})`;
+        ctx.shadowBlur = 20;
+        ctx.lineWidth = 3;
+        ctx.beginPath();
+        ctx.arc(pickup.x, pickup.y, radius, 0, Math.PI * 2);
+        ctx.fill();
+        ctx.stroke();
+
+        ctx.shadowBlur = 0;
+        ctx.font = `${Math.round(radius)}px Arial`;
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        ctx.fillText(type.icon, pickup.x, pickup.y);
+        ctx.restore();
+    });
+}
+
+function drawBombBlasts(ctx) {
+    state.bombBlasts.forEach(blast => {
+        ctx.save();
+        ctx.strokeStyle = `rgba(255, 200, 50, ${blast.life})`;
+        ctx.shadowColor = '#ffc832';
+        ctx.shadowBlur = 30;
+        ctx.lineWidth = 8 * blast.life;
+        ctx.beginPath();
+        ctx.arc(blast.x, blast.y, blast.radius, 0, Math.PI * 2);
+        ctx.stroke();
+        ctx.restore();
+    });
+}
+
+// Per-type fill (HSL saturation/lightness), outline width and glow
+const ASTEROID_STYLES = {
+    rock: { saturation: 50, lightness: 40, outline: 2, glow: 0 },
+    splitter: { saturation: 60, lightness: 38, outline: 3, glow: 0 },
+    fast: { saturation: 90, lightness: 60, outline: 1, glow: 15 },
+    armored: { saturation: 15, lightness: 50, outline: 4, glow: 0 },
+    homing: { saturation: 60, lightness: 40, outline: 2, glow: 20 },
+    boss: { saturation: 50, lightness: 40, outline: 4, glow: 25 }
+};
+
+function drawAsteroids(ctx) {
+    game.state.asteroids.forEach(asteroid => {
+        ctx.save();
+        ctx.translate(asteroid.x, asteroid.y);
+        ctx.rotate(asteroid.rotation);
+
+        ctx.beginPath();
+        asteroid.vertices.forEach((v, i) => {
+            const r = asteroid.radius * v.radius;
+            const x = Math.cos(v.angle) * r;
+            const y = Math.sin(v.angle) * r;
+            if (i === 0) ctx.moveTo(x, y);
+            else ctx.lineTo(x, y);
+        });
+        ctx.closePath();
+
+        const style = ASTEROID_STYLES[asteroid.boss ? 'boss' : asteroid.type];
+        const palette = getPalette();
+        const gradient = ctx.createRadialGradient(0, 0, 0, 0, 0, asteroid.radius);
+        if (palette) {
+            gradient.addColorStop(0, `rgb(${palette.asteroid})`);
+            gradient.addColorStop(1, `rgba(${palette.asteroid}, 0.7)`);
+        } else {
+            gradient.addColorStop(0, `hsl(${asteroid.hue}, ${style.saturation}%, ${style.lightness}%)`);
+            gradient.addColorStop(1, `hsl(${asteroid.hue}, ${style.saturation + 10}%, ${style.lightness / 2}%)`);
+        }
+        ctx.fillStyle = gradient;
+        if (style.glow) {
+            ctx.shadowColor = palette ? `rgb(${palette.outline})` : `hsl(${asteroid.hue}, 100%, 60%)`;
+            ctx.shadowBlur = style.glow;
+        }
+        ctx.fill();
+        ctx.shadowBlur = 0;
+
+        // Palettes outline every rock boldly so it stands out from the stars
+        ctx.strokeStyle = palette ? `rgb(${palette.outline})` : `hsl(${asteroid.hue}, 40%, 60%)`;
+        ctx.lineWidth = palette ? style.outline + 2 : style.outline;
+        ctx.stroke();
+
+        if (asteroid.type === 'splitter' && !asteroid.boss) {
+            drawSplitterCracks(ctx, asteroid);
+        } else if (asteroid.type === 'armored') {
+            drawArmorPlates(ctx, asteroid);
+        }
+
+        ctx.restore();
+
+        if (asteroid.type === 'fast') {
+            drawFastStreak(ctx, asteroid);
+        } else if (asteroid.type === 'homing') {
+            drawHomingEye(ctx, asteroid);
+        }
+
+        if (asteroid.boss) {
+            drawBossHealthBar(ctx, asteroid);
+        }
+    });
+}
+
+// Glowing fault lines show where it will break apart
+function drawSplitterCracks(ctx, asteroid) {
+    ctx.strokeStyle = `hsla(${asteroid.hue + 20}, 100%, 60%, 0.8)`;
     ctx.lineWidth = 2;
+    ctx.beginPath();
+    [0, 2.1, 4.2].forEach(angle => {
+        ctx.moveTo(0, 0);
+        ctx.lineTo(Math.cos(angle) * asteroid.radius * 0.7, Math.sin(angle) * asteroid.radius * 0.7);
+    });
+    ctx.stroke();
+}
+
+// One plate ring per remaining hit
+function drawArmorPlates(ctx, asteroid) {
+    const flashing = game.state.gameTime < asteroid.invulnerableUntil;
+    ctx.strokeStyle = flashing ? '#ffffff' : `hsl(${asteroid.hue}, 20%, 75%)`;
+    ctx.lineWidth = 3;
+
+    for (let i = 0; i < asteroid.health; i++) {
+        ctx.beginPath();
+        ctx.arc(0, 0, asteroid.radius * (0.35 + i * 0.18), 0, Math.PI * 2);
+        ctx.stroke();
+    }
+}
+
+function drawFastStreak(ctx, asteroid) {
+    const speed = Math.hypot(asteroid.vx, asteroid.vy) || 1;
+    const length = asteroid.radius * 4;
+    const tailX = asteroid.x - (asteroid.vx / speed) * length;
+    const tailY = asteroid.y - (asteroid.vy / speed) * length;
+
+    const gradient = ctx.createLinearGradient(asteroid.x, asteroid.y, tailX, tailY);
+    gradient.addColorStop(0, `hsla(${asteroid.hue}, 100%, 70%, 0.7)`);
+    gradient.addColorStop(1, `hsla(${asteroid.hue}, 100%, 70%, 0)`);
+
+    ctx.save();
+    ctx.strokeStyle = gradient;
+    ctx.lineWidth = asteroid.radius * 1.2;
+    ctx.lineCap = 'round';
+    ctx.beginPath();
+    ctx.moveTo(asteroid.x, asteroid.y);
+    ctx.lineTo(tailX, tailY);
+    ctx.stroke();
+    ctx.restore();
+}
+
+// A pulsing eye marks rocks that steer toward their target
+function drawHomingEye(ctx, asteroid) {
+    const pulse = isReducedMotion() ? 1 : Math.sin(Date.now() / 150) * 0.3 + 0.7;
+
+    ctx.save();
+    ctx.fillStyle = `hsla(${asteroid.hue + 40}, 100%, 65%, ${pulse})`;
+    ctx.shadowColor = ctx.fillStyle;
+    ctx.shadowBlur = 15;
+    ctx.beginPath();
+    ctx.arc(asteroid.x, asteroid.y, asteroid.radius * 0.25, 0, Math.PI * 2);
+    ctx.fill();
+    ctx.restore();
+}
+
+function drawBossHealthBar(ctx, boss) {
+    const width = boss.radius * 1.6;
+    const height = 8;
+    const x = boss.x - width / 2;
+    const y = boss.y - boss.radius - 24;
+    const ratio = boss.health / boss.maxHealth;
+    const flashing = game.state.gameTime < boss.invulnerableUntil;
+
+    ctx.save();
+    ctx.fillStyle = 'rgba(0, 0, 0, 0.6)';
+    ctx.fillRect(x - 2, y - 2, width + 4, height + 4);
+    ctx.fillStyle = flashing ? '#ffffff' : `hsl(${ratio * 120}, 90%, 50%)`;
+    ctx.fillRect(x, y, width * ratio, height);
+    ctx.font = 'bold 12px Orbitron, sans-serif';
+    ctx.fillStyle = '#ffffff';
+    ctx.textAlign = 'center';
+    ctx.fillText('BOSS', boss.x, y - 6);
+    ctx.restore();
+}
+
+function drawWaveBanner(ctx, canvas) {
+    const wave = game.state.wave;
+    let title, subtitle, duration;
+
+    if (wave.phase === 'intro') {
+        title = wave.boss ? `⚠️ WAVE ${wave.number} ⚠️` : `WAVE ${wave.number}`;
+        subtitle = wave.boss ? 'BOSS INCOMING' : `${wave.def.count} asteroids`;
+        duration = WAVE_CONFIG.introDuration;
+    } else if (wave.phase === 'breather') {
+        title = `WAVE ${wave.number} CLEAR`;
+        subtitle = 'Catch your breath...';
+        duration = WAVE_CONFIG.breatherDuration;
+    } else {
+        return;
+    }
+
+    // Fade in and out over the phase
+    const t = wave.phaseTime / duration;
+    const alpha = Math.min(1, t * 4, (1 - t) * 4);
+
+    ctx.save();
+    ctx.globalAlpha = Math.max(0, alpha);
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    ctx.shadowBlur = 30;
+    ctx.shadowColor = wave.boss && wave.phase === 'intro' ? '#ff3b3b' : '#00f5ff';
+    ctx.fillStyle = ctx.shadowColor;
+    ctx.font = '900 64px Orbitron, sans-serif';
+    ctx.fillText(title, canvas.width / 2, canvas.height / 3);
+    ctx.shadowBlur = 0;
+    ctx.fillStyle = 'rgba(255, 255, 255, 0.8)';
+    ctx.font = '700 22px Orbitron, sans-serif';
+    ctx.fillText(subtitle, canvas.width / 2, canvas.height / 3 + 55);
+    ctx.restore();
+}
 
-    connections.forEach(([i, j]) => {
-        const start = landmarks[i];
-        const end = landmarks[j];
+function drawParticles(ctx) {
+    state.particles.forEach(p => {
+        ctx.fillStyle = `hsla(${p.hue}, 100%, 60%, ${p.life})`;
+        ctx.shadowColor = `hsl(${p.hue}, 100%, 50%)`;
+        ctx.shadowBlur = 10;
+        ctx.beginPath();
+        ctx.arc(p.x, p.y, p.radius, 0, Math.PI * 2);
+        ctx.fill();
+    });
+    ctx.shadowBlur = 0;
+}
+
+// A blade along the trail while the cursor is moving fast enough to cut,
+// growing brighter with speed
+function drawSlash(ctx, cursor) {
+    const { history } = cursor;
+    const color = getCursorColor(cursor);
+    // Mirrored copies move as fast as the cursor they copy
+    const simCursor = game.state.cursors[cursor.slot];
+    const speed = simCursor ? game.getCursorSpeed(simCursor) : 0;
+    if (speed < CONFIG.slashMinSpeed || history.length < 2) return;
+
+    const strength = Math.min(1, 0.4 + (speed - CONFIG.slashMinSpeed) / (CONFIG.slashSpeedPerDamage * 2));
+
+    ctx.save();
+    ctx.lineCap = 'round';
+    ctx.shadowColor = `rgb(${color})`;
+    ctx.shadowBlur = 25;
+
+    for (let i = 1; i < history.length; i++) {
+        const progress = i / history.length;
+        ctx.strokeStyle = `rgba(255, 255, 255, ${progress * strength})`;
+        ctx.lineWidth = CONFIG.slashRadius * game.getCursorScale() * 0.5 * progress;
         ctx.beginPath();
-        ctx.moveTo((1 - start.x) * canvas.width, start.y * canvas.height);
-        ctx.lineTo((1 - end.x) * canvas.width, end.y * canvas.height);
+        ctx.moveTo(history[i - 1].x, history[i - 1].y);
+        ctx.lineTo(history[i].x, history[i].y);
         ctx.stroke();
+    }
+    ctx.restore();
+}
+
+function drawFingerCursor(ctx, cursor) {
+    const { x, y, history } = cursor;
+    const color = getCursorColor(cursor);
+    const cursorRadius = CONFIG.cursorRadius * game.getCursorScale();
+
+    // Mirrored copies are drawn fainter
+    ctx.save();
+    if (cursor.mirrored) {
+        ctx.globalAlpha = 0.5;
+    }
+
+    drawSlash(ctx, cursor);
+
+    // Draw trail
+    ctx.shadowBlur = 20;
+    history.forEach((pos, i) => {
+        const alpha = (i / history.length) * 0.5;
+        const radius = cursorRadius * (i / history.length) * 0.5;
+
+        ctx.fillStyle = `rgba(${color}, ${alpha})`;
+        ctx.shadowColor = `rgba(${color}, 0.5)`;
+        ctx.beginPath();
+        ctx.arc(pos.x, pos.y, radius, 0, Math.PI * 2);
+        ctx.fill();
     });
 
-    // Draw landmarks
-    landmarks.forEach((landmark, i) => {
-        const x = (1 - landmark.x) * canvas.width;
-        const y = landmark.y * canvas.height;
+    // Main cursor
+    const gradient = ctx.createRadialGradient(x, y, 0, x, y, cursorRadius);
+    gradient.addColorStop(0, `rgba(${color}, 0.8)`);
+    gradient.addColorStop(0.5, `rgba(${color}, 0.3)`);
+    gradient.addColorStop(1, `rgba(${color}, 0)`);
 
-        // Highlight index finger tip (landmark 8)
-        if (i === 8) {
-            ctx.fillStyle = '#ff00ff';
-            ctx.shadowColor = '#ff00ff';
-            ctx.shadowBlur = 20;
-            ctx.beginPath();
-            ctx.arc(x, y, 10, 0, Math.PI * 2);
-            ctx.fill();
-            ctx.shadowBlur = 0;
+    ctx.fillStyle = gradient;
+    ctx.shadowColor = `rgb(${color})`;
+    ctx.shadowBlur = 30;
+    ctx.beginPath();
+    ctx.arc(x, y, cursorRadius, 0, Math.PI * 2);
+    ctx.fill();
 
-            // Add label
-            ctx.fillStyle = '#ffffff';
-            ctx.font = 'bold 12px Arial';
-            ctx.fillText('INDEX', x + 15, y);
-        } else {
-            ctx.fillStyle = '#00f5ff';
-            ctx.beginPath();
-            ctx.arc(x, y, 4, 0, Math.PI * 2);
-            ctx.fill();
+    // Inner ring
+    ctx.strokeStyle = `rgb(${color})`;
+    ctx.lineWidth = 3;
+    ctx.beginPath();
+    ctx.arc(x, y, cursorRadius * 0.6, 0, Math.PI * 2);
+    ctx.stroke();
+
+    // Finger icon
+    ctx.fillStyle = '#ffffff';
+    ctx.font = '28px Arial';
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    ctx.fillText('👆', x, y);
+
+    if (game.state.coop) {
+        ctx.font = 'bold 14px Orbitron, sans-serif';
+        ctx.fillStyle = `rgb(${color})`;
+        ctx.fillText(HAND_SLOTS[cursor.slot].label, x, y - cursorRadius - 10);
+    }
+
+    ctx.shadowBlur = 0;
+    ctx.restore();
+}
+
+// ============================================
+// GAME LOGIC
+// ============================================
+// challenge: see createChallenge, or null for a normal random round
+async function startGame(challenge = null) {
+    console.log('🎮 Starting game...', challenge ? challenge.id : '');
+    state.challenge = challenge;
+
+    // Must happen inside the click, before any await
+    initAudio();
+
+    elements.startScreen.classList.add('hidden');
+    elements.gameOverScreen.classList.add('hidden');
+
+    // Show loading
+    if (elements.loadingHint) {
+        elements.loadingHint.style.display = 'block';
+        elements.loadingHint.textContent = '⏳ Initializing camera...';
+    }
+
+    stopColorSampling();
+
+    // Only one provider drives the cursors at a time
+    Object.entries(INPUT_PROVIDERS).forEach(([id, provider]) => {
+        if (id !== state.inputProvider) {
+            provider.stop();
+        }
+    });
+
+    const provider = getInputProvider();
+    if (!provider.usesCamera) {
+        // Don't keep the camera light on for a mouse game
+        stopWebcam();
+    }
+
+    const inputReady = await provider.start();
+
+    if (!inputReady) {
+        showCameraError();
+        return;
+    }
+
+    if (elements.loadingHint) {
+        elements.loadingHint.style.display = 'none';
+    }
+
+    // The hands provider may have fallen back to another one
+    const activeProvider = getInputProvider();
+    elements.webcamContainer.style.display = activeProvider.usesCamera ? 'block' : 'none';
+
+    // Calibrate once per browser before the first camera game, unless the
+    // player chose to skip it
+    if (activeProvider.usesCamera && !state.calibration && !state.calibrationSkipped) {
+        await runCalibration();
+    }
+
+    const seed = challenge ? challenge.seed : (Math.random() * 4294967296) >>> 0;
+    if (challenge) {
+        // Challenges are solo classic rounds under their own rules, so
+        // scores compare like for like
+        Object.assign(CONFIG, challenge.config);
+    }
+    resetGameState(
+        seed,
+        !challenge && elements.coopToggle.checked && activeProvider.maxCursors > 1,
+        challenge ? 'classic' : state.mode
+    );
+    state.recording = createRecording(seed);
+    state.debugMode = false; // Disable debug after first confirmation
+
+    console.log('✅ Game started!');
+
+    // Start game loop
+    startGameLoop();
+}
+
+function resetGameState(seed, coop, mode) {
+    const canvas = elements.gameCanvas;
+
+    game = createGameCore({
+        config: CONFIG,
+        world: { width: canvas.width, height: canvas.height },
+        rng: createRng(seed),
+        coop,
+        mode
+    });
+    state.achievementRun = null;
+    cuedAsteroids = new WeakSet();
+    bindGameEvents(game);
+
+    state.isPlaying = true;
+    state.particles = [];
+    state.isPaused = false;
+    state.resumeCountdown = 0;
+    state.lastDetectedTime = performance.now();
+    state.pendingActions = [];
+    state.bombBlasts = [];
+    state.cursors = HAND_SLOTS.map((_, slot) => createCursor(slot));
+
+    // Only zen has no other way to end
+    const rules = GAME_MODES[game.state.mode];
+    elements.endRunBtn.classList.toggle('hidden', rules.lives !== false || Boolean(rules.timeLimit));
+    elements.livesPanel.classList.toggle('hidden', rules.lives === false);
+    elements.timeItem.classList.toggle('hidden', !rules.timeLimit);
+    state.highScore = getHighScore(game.state.mode);
+
+    updateLivesDisplay();
+    updatePowerUpDisplay();
+    updateScoreDisplay();
+    updateActionDisplay();
+    updateWaveDisplay();
+    updateTimeDisplay();
+    updateHighScoreDisplay();
+    startDrone();
+}
+
+// Effects, sound and the HUD follow what the simulation reports
+function bindGameEvents(core) {
+    core.on('explosion', ({ x, y, size }) => createExplosion(x, y, size));
+    core.on('damaged', () => shakeScreen(8));
+    core.on('blocked', () => shakeScreen(5));
+    core.on('impact', () => shakeScreen(20));
+
+    core.on('destroyed', ({ player }) => {
+        updateScoreDisplay();
+        playComboTone(player.combo);
+        shakeScreen(10);
+    });
+    core.on('comboReset', updateScoreDisplay);
+    core.on('scored', updateScoreDisplay);
+
+    core.on('lifeLost', () => {
+        updateLivesDisplay();
+        playLifeLost();
+    });
+    core.on('lifeGained', updateLivesDisplay);
+    core.on('gameOver', gameOver);
+
+    core.on('bomb', ({ x, y }) => {
+        state.bombBlasts.push({ x, y, radius: 0, life: 1 });
+        shakeScreen(25);
+        updateActionDisplay();
+    });
+    core.on('shield', updateActionDisplay);
+    core.on('powerUpsChanged', updatePowerUpDisplay);
+
+    core.on('waveCleared', ({ wave }) => console.log(`🌊 Wave ${wave.number} cleared`));
+    core.on('waveStarted', ({ wave }) => {
+        updateWaveDisplay();
+        setDroneTension(wave.number);
+    });
+
+    if (!state.replay) {
+        trackAchievements(core);
+    }
+}
+
+let lastFrameTime = 0;
+let simulationAccumulator = 0;
+let gameLoopFrame = null;
+
+// Restarting cancels the previous round's frame so two loops never run
+function startGameLoop() {
+    cancelAnimationFrame(gameLoopFrame);
+    lastFrameTime = performance.now();
+    simulationAccumulator = 0;
+    gameLoopFrame = requestAnimationFrame(gameLoop);
+}
+
+function gameLoop(currentTime) {
+    if (!state.isPlaying) return;
+
+    // A long gap means the tab was in the background; don't try to
+    // simulate all of it at once
+    const deltaTime = Math.min(currentTime - lastFrameTime, CONFIG.maxFrameDelta);
+    recordRenderFrame(currentTime - lastFrameTime);
+    recordTrackingLoss(deltaTime);
+    lastFrameTime = currentTime;
+
+    if (state.isPaused) {
+        // Game time is frozen, so spawn and combo timers don't advance
+        simulationAccumulator = 0;
+        updateResumeCountdown(deltaTime);
+    } else {
+        // Advance the simulation in fixed steps so it plays the same at any
+        // refresh rate
+        simulationAccumulator += Math.max(0, deltaTime);
+        while (simulationAccumulator >= CONFIG.simulationStep && state.isPlaying) {
+            updateGame(CONFIG.simulationStep);
+            simulationAccumulator -= CONFIG.simulationStep;
+        }
+
+        checkAutoPause();
+    }
+
+    render();
+    updatePerfStats(currentTime);
+    gameLoopFrame = requestAnimationFrame(gameLoop);
+}
+
+function updateGame(deltaTime) {
+    let frame;
+    if (state.replay) {
+        frame = nextReplayFrame();
+        if (!frame) {
+            // Ran out of recorded input
+            gameOver();
+            return;
+        }
+    } else {
+        frame = captureInputFrame();
+        recordFrame(frame);
+    }
+    state.pendingActions = [];
+
+    game.step(frame, deltaTime);
+    checkAchievements('step');
+    cueIncomingAsteroids();
+
+    updateParticles(deltaTime);
+    updateBombBlasts(deltaTime);
+    updateScreenShake(deltaTime);
+
+    // Shield readiness changes with time, not just on use
+    if (game.state.gameTime < game.state.shieldReadyAt + deltaTime) {
+        updateActionDisplay();
+    }
+    if (game.getTimeLeft() !== null) {
+        updateTimeDisplay();
+    }
+}
+
+// ============================================
+// PAUSE & RESUME
+// ============================================
+const PAUSE_MESSAGES = {
+    manual: 'Press P or hold an open palm to resume',
+    hidden: 'Paused while the tab was in the background',
+    noHand: 'Tracking lost'
+};
+
+function pauseGame(reason) {
+    if (!state.isPlaying) return;
+    if (state.isPaused && state.resumeCountdown === 0) return;
+
+    state.isPaused = true;
+    state.pauseReason = reason;
+    state.resumeCountdown = 0;
+
+    elements.pauseReason.textContent = reason === 'noHand'
+        ? `Tracking lost — ${getInputProvider().lostMessage}`
+        : PAUSE_MESSAGES[reason];
+    elements.pauseScreen.classList.remove('hidden');
+    suspendAudio();
+
+    console.log('⏸️ Paused:', reason);
+}
+
+function resumeGame() {
+    if (!state.isPaused || state.resumeCountdown > 0) return;
+
+    elements.pauseScreen.classList.add('hidden');
+    state.resumeCountdown = CONFIG.resumeCountdown;
+}
+
+function togglePause() {
+    if (state.isPaused) {
+        resumeGame();
+    } else {
+        pauseGame('manual');
+    }
+}
+
+function updateResumeCountdown(deltaTime) {
+    if (state.resumeCountdown > 0) {
+        state.resumeCountdown -= deltaTime;
+        if (state.resumeCountdown <= 0) {
+            state.resumeCountdown = 0;
+            state.isPaused = false;
+            resumeAudio();
+        }
+        return;
+    }
+
+    // Resume on its own once the lost hand is back
+    if (state.pauseReason === 'noHand' && isAnyCursorDetected()) {
+        resumeGame();
+    }
+}
+
+function checkAutoPause() {
+    if (state.replay || isAnyCursorDetected()) return;
+
+    if (performance.now() - state.lastDetectedTime > CONFIG.autoPauseDelay) {
+        pauseGame('noHand');
+    }
+}
+
+function gameOver() {
+    state.isPlaying = false;
+    state.isPaused = false;
+    elements.pauseScreen.classList.add('hidden');
+    // Ending from the pause screen leaves the audio suspended
+    resumeAudio();
+    stopDrone();
+    playGameOver();
+
+    const wasReplay = Boolean(state.replay);
+    if (wasReplay) {
+        finishReplay();
+    } else if (state.recording) {
+        state.recording.finalScore = game.state.score;
+        state.lastRecording = state.recording;
+        state.recording = null;
+        // Settings changed during the round (or a challenge's rules) give
+        // way to the saved ones
+        applyConfigSettings();
+    }
+    if (!wasReplay) {
+        recordLifetimeStats();
+    }
+    elements.challengeResult.classList.toggle('hidden', wasReplay || !state.challenge);
+    if (!wasReplay && state.challenge) {
+        finishChallenge();
+    }
+    elements.watchReplayBtn.classList.toggle('hidden', !state.lastRecording);
+    elements.exportReplayBtn.classList.toggle('hidden', !state.lastRecording);
+
+    // Qualifying runs go in right away under the last name used, so the
+    // run is kept even if nobody types a name. Challenges play different
+    // rules, so they keep their own results instead.
+    const entry = wasReplay || state.challenge ? null : addLeaderboardEntry(createLeaderboardEntry());
+    state.lastEntryId = entry ? entry.id : null;
+    const { mode } = game.state;
+    elements.newHighScore.classList.toggle('hidden', !entry || getModeLeaderboard(mode)[0] !== entry);
+    elements.nameEntry.classList.toggle('hidden', !entry);
+    if (entry) {
+        elements.playerNameInput.value = entry.name;
+    }
+    state.highScore = getHighScore(mode);
+    renderLeaderboard(elements.gameOverLeaderboard, state.lastEntryId, mode);
+    renderLeaderboard(elements.startLeaderboard, null);
+
+    const { score, coop, players } = game.state;
+    elements.finalScore.textContent = score.toLocaleString();
+    elements.finalBreakdown.classList.toggle('hidden', !coop);
+    if (coop) {
+        elements.finalBreakdown.textContent = players
+            .map((player, i) => `${HAND_SLOTS[i].label}: ${player.score.toLocaleString()}`)
+            .join('  ·  ');
+    }
+    updateHighScoreDisplay();
+
+    setTimeout(() => {
+        elements.gameOverScreen.classList.remove('hidden');
+        if (entry) {
+            elements.playerNameInput.select();
+        }
+    }, 500);
+}
+
+// ============================================
+// RECORD & REPLAY
+// ============================================
+// A recording holds everything the simulation reads from outside: the
+// seed, CONFIG, world size and, per fixed step, the input frame passed to
+// the core's step(). Playing it back needs no camera and ends on the same score.
+const REPLAY_VERSION = 2;
+
+function createRecording(seed) {
+    return {
+        version: REPLAY_VERSION,
+        seed,
+        recordedAt: new Date().toISOString(),
+        inputProvider: state.inputProvider,
+        coop: game.state.coop,
+        mode: game.state.mode,
+        config: { ...CONFIG },
+        world: { width: elements.gameCanvas.width, height: elements.gameCanvas.height },
+        frames: [],
+        trace: [],
+        finalScore: null
+    };
+}
+
+// This step's input, in the frame format the core's step() takes
+function captureInputFrame() {
+    const frame = {
+        t: game.state.gameTime,
+        cursors: state.cursors.map(c => [c.x, c.y, c.detected ? 1 : 0])
+    };
+
+    if (state.pendingActions.length > 0) {
+        frame.actions = state.pendingActions.map(({ action, slot }) => [action, slot]);
+    }
+
+    // The world can change size mid-game when the window is resized
+    const { width, height } = elements.gameCanvas;
+    const world = game.state.world;
+    if (width !== world.width || height !== world.height) {
+        frame.world = [width, height];
+    }
+
+    return frame;
+}
+
+function recordFrame(frame) {
+    if (state.recording) {
+        state.recording.frames.push(frame);
+    }
+}
+
+// Returns the next recorded frame, or null when the recording is
+// exhausted. The cursors are copied over so they are drawn as recorded.
+function nextReplayFrame() {
+    const replay = state.replay;
+    const frame = replay.recording.frames[replay.frameIndex++];
+    if (!frame) return null;
+
+    if (frame.world) {
+        elements.gameCanvas.width = frame.world[0];
+        elements.gameCanvas.height = frame.world[1];
+    }
+
+    frame.cursors.forEach(([x, y, detected], slot) => {
+        const cursor = state.cursors[slot];
+        cursor.x = x;
+        cursor.y = y;
+        cursor.detected = Boolean(detected);
+
+        if (cursor.detected) {
+            cursor.history.push({ x, y });
+            if (cursor.history.length > CONFIG.trailLength) {
+                cursor.history.shift();
+            }
         }
     });
+
+    return frame;
+}
+
+function startReplay(recording) {
+    console.log('▶️ Starting replay, seed', recording.seed);
+
+    initAudio();
+
+    elements.startScreen.classList.add('hidden');
+    elements.gameOverScreen.classList.add('hidden');
+    elements.webcamContainer.style.display = 'none';
+    elements.replayBadge.classList.remove('hidden');
+
+    // Play back under the settings and world size it was recorded with
+    state.replay = {
+        recording,
+        frameIndex: 0,
+        savedConfig: { ...CONFIG },
+        savedInputProvider: state.inputProvider
+    };
+    Object.assign(CONFIG, recording.config, getAccessibilityConfig());
+    state.inputProvider = Object.hasOwn(INPUT_PROVIDERS, recording.inputProvider) ? recording.inputProvider : 'hands';
+    elements.gameCanvas.width = recording.world.width;
+    elements.gameCanvas.height = recording.world.height;
+
+    // Recordings from before game modes are classic
+    resetGameState(recording.seed, recording.coop, Object.hasOwn(GAME_MODES, recording.mode) ? recording.mode : 'classic');
+    state.recording = null;
+
+    startGameLoop();
+}
+
+function finishReplay() {
+    const { recording, savedConfig, savedInputProvider } = state.replay;
+
+    const score = game.state.score;
+    if (recording.finalScore !== null && recording.finalScore !== score) {
+        console.warn(`⚠️ Replay diverged: recorded ${recording.finalScore}, replayed ${score}`);
+    } else {
+        console.log('✅ Replay finished with score', score);
+    }
+
+    Object.assign(CONFIG, savedConfig);
+    state.inputProvider = savedInputProvider;
+    state.replay = null;
+    elements.replayBadge.classList.add('hidden');
+    resizeCanvas();
+}
+
+function exportReplay(recording) {
+    const { traceStart, ...data } = recording;
+    const blob = new Blob([JSON.stringify(data)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `asteroid-replay-${recording.recordedAt.replace(/[:.]/g, '-')}.json`;
+    link.click();
+
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
 }
 
-function lerp(a, b, t) {
-    return a + (b - a) * t;
+function parseReplay(text) {
+    const recording = JSON.parse(text);
+
+    if (recording.version !== REPLAY_VERSION) {
+        throw new Error(`unsupported replay version ${recording.version}`);
+    }
+    if (!Array.isArray(recording.frames) || !recording.world || !recording.config) {
+        throw new Error('file is not an Asteroid Destroyer replay');
+    }
+
+    return recording;
 }
 
 // ============================================
-// ASTEROID MANAGEMENT
+// LEADERBOARD
 // ============================================
-function spawnAsteroid() {
-    const canvas = elements.gameCanvas;
-    const side = Math.floor(Math.random() * 4);
-    let x, y;
+// Top runs on this machine, best first, stored as
+// { version, entries } under 'asteroidLeaderboard'.
+const LEADERBOARD_VERSION = 1;
+
+function loadLeaderboard() {
+    try {
+        const saved = JSON.parse(localStorage.getItem('asteroidLeaderboard'));
+        if (saved) {
+            return sanitizeLeaderboard(saved.entries);
+        }
+    } catch (err) {
+        console.warn('⚠️ Ignoring invalid saved leaderboard:', err);
+    }
 
-    switch (side) {
-        case 0: x = Math.random() * canvas.width; y = -50; break;
-        case 1: x = canvas.width + 50; y = Math.random() * canvas.height; break;
-        case 2: x = Math.random() * canvas.width; y = canvas.height + 50; break;
-        case 3: x = -50; y = Math.random() * canvas.height; break;
+    // Carry over the single high score kept by older versions
+    const legacyHighScore = parseInt(localStorage.getItem('asteroidHighScore'));
+    if (legacyHighScore > 0) {
+        const entries = [{ ...createEmptyEntry(), name: 'LEGACY', score: legacyHighScore }];
+        saveLeaderboard(entries);
+        localStorage.removeItem('asteroidHighScore');
+        console.log('🏆 Migrated high score to the leaderboard');
+        return entries;
     }
+    return [];
+}
 
-    const centerX = canvas.width / 2 + (Math.random() - 0.5) * 200;
-    const centerY = canvas.height / 2 + (Math.random() - 0.5) * 200;
-    const dx = centerX - x;
-    const dy = centerY - y;
-    const dist = Math.sqrt(dx * dx + dy * dy);
+function saveLeaderboard(entries) {
+    localStorage.setItem('asteroidLeaderboard', JSON.stringify({
+        version: LEADERBOARD_VERSION,
+        entries
+    }));
+}
 
-    const difficultyMultiplier = Math.min(2, 1 + state.gameTime / CONFIG.difficultyRampTime);
-    const speed = CONFIG.baseAsteroidSpeed * difficultyMultiplier * (0.8 + Math.random() * 0.4);
+// Stats nobody recorded (migrated or imported runs) stay null
+function createEmptyEntry() {
+    return {
+        id: `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+        name: LEADERBOARD_CONFIG.defaultName,
+        score: 0,
+        maxCombo: null,
+        destroyed: null,
+        accuracy: null,
+        survivalTime: null,
+        date: null,
+        inputMode: null,
+        mode: 'classic'
+    };
+}
 
-    state.asteroids.push({
-        x, y,
-        vx: (dx / dist) * speed,
-        vy: (dy / dist) * speed,
-        radius: 30 + Math.random() * 30,
-        rotation: Math.random() * Math.PI * 2,
-        rotationSpeed: (Math.random() - 0.5) * 0.05,
-        vertices: generateAsteroidShape(),
-        hue: 20 + Math.random() * 20
-    });
+function createLeaderboardEntry() {
+    const { destroyed, maxCombo, swipes, swipeHits } = game.state.stats;
+
+    return {
+        ...createEmptyEntry(),
+        name: localStorage.getItem('asteroidPlayerName') || LEADERBOARD_CONFIG.defaultName,
+        score: game.state.score,
+        maxCombo,
+        destroyed,
+        accuracy: swipes > 0 ? swipeHits / swipes : null,
+        survivalTime: Math.round(game.state.gameTime),
+        date: new Date().toISOString(),
+        inputMode: state.inputProvider,
+        mode: game.state.mode
+    };
 }
 
-function generateAsteroidShape() {
-    const vertices = [];
-    const numVertices = 8 + Math.floor(Math.random() * 5);
+// Returns the entry if it made the board, otherwise null
+function addLeaderboardEntry(entry) {
+    if (entry.score <= 0) return null;
 
-    for (let i = 0; i < numVertices; i++) {
-        const angle = (i / numVertices) * Math.PI * 2;
-        const radius = 0.7 + Math.random() * 0.3;
-        vertices.push({ angle, radius });
-    }
+    const entries = sortLeaderboard([...state.leaderboard, entry]);
+    if (!entries.includes(entry)) return null;
 
-    return vertices;
+    state.leaderboard = entries;
+    saveLeaderboard(entries);
+    return entry;
 }
 
-function updateAsteroids(deltaTime) {
-    const canvas = elements.gameCanvas;
-    const centerX = canvas.width / 2;
-    const centerY = canvas.height / 2;
+// Each mode keeps its own top LEADERBOARD_CONFIG.size runs
+function sortLeaderboard(entries) {
+    const kept = {};
 
-    for (let i = state.asteroids.length - 1; i >= 0; i--) {
-        const asteroid = state.asteroids[i];
+    return entries
+        .sort((a, b) => b.score - a.score)
+        .filter(entry => {
+            kept[entry.mode] = (kept[entry.mode] || 0) + 1;
+            return kept[entry.mode] <= LEADERBOARD_CONFIG.size;
+        });
+}
 
-        asteroid.x += asteroid.vx;
-        asteroid.y += asteroid.vy;
-        asteroid.rotation += asteroid.rotationSpeed;
+function getModeLeaderboard(mode) {
+    return state.leaderboard.filter(entry => entry.mode === mode);
+}
 
-        // Check collision with finger cursor
-        if (state.fingerPosition.detected) {
-            const dx = asteroid.x - state.fingerPosition.x;
-            const dy = asteroid.y - state.fingerPosition.y;
-            const dist = Math.sqrt(dx * dx + dy * dy);
+function renameLeaderboardEntry(id, name) {
+    const entry = state.leaderboard.find(e => e.id === id);
+    if (!entry) return;
 
-            if (dist < asteroid.radius + CONFIG.cursorRadius) {
-                createExplosion(asteroid.x, asteroid.y, asteroid.radius);
-                state.asteroids.splice(i, 1);
+    entry.name = cleanPlayerName(name);
+    localStorage.setItem('asteroidPlayerName', entry.name);
+    saveLeaderboard(state.leaderboard);
+    renderLeaderboard(elements.gameOverLeaderboard, id, game.state.mode);
+    renderLeaderboard(elements.startLeaderboard, null);
+}
 
-                const now = Date.now();
-                if (now - state.lastDestroyTime < CONFIG.comboTimeout) {
-                    state.combo = Math.min(10, state.combo + 1);
-                } else {
-                    state.combo = 1;
-                }
-                state.lastDestroyTime = now;
+function cleanPlayerName(name) {
+    const cleaned = String(name).trim().slice(0, LEADERBOARD_CONFIG.nameMaxLength);
+    return cleaned || LEADERBOARD_CONFIG.defaultName;
+}
 
-                const points = Math.round(10 * state.combo * (asteroid.radius / 30));
-                state.score += points;
-                updateScoreDisplay();
+function getHighScore(mode) {
+    const entries = getModeLeaderboard(mode);
+    return entries.length > 0 ? entries[0].score : 0;
+}
 
-                state.screenShake.intensity = 10;
-                continue;
-            }
-        }
+// Drops anything that isn't a usable entry, so a bad import or an old
+// save can't break the screen
+function sanitizeLeaderboard(entries) {
+    if (!Array.isArray(entries)) return [];
+
+    const numberOrNull = value => (Number.isFinite(value) ? value : null);
+    const valid = entries
+        .filter(entry => entry && Number.isFinite(entry.score) && entry.score > 0)
+        .map(entry => ({
+            ...createEmptyEntry(),
+            id: typeof entry.id === 'string' ? entry.id : createEmptyEntry().id,
+            name: cleanPlayerName(entry.name || ''),
+            score: Math.round(entry.score),
+            maxCombo: numberOrNull(entry.maxCombo),
+            destroyed: numberOrNull(entry.destroyed),
+            accuracy: numberOrNull(entry.accuracy),
+            survivalTime: numberOrNull(entry.survivalTime),
+            date: typeof entry.date === 'string' ? entry.date : null,
+            inputMode: Object.hasOwn(INPUT_PROVIDERS, entry.inputMode) ? entry.inputMode : null,
+            mode: Object.hasOwn(GAME_MODES, entry.mode) ? entry.mode : 'classic'
+        }));
+
+    return sortLeaderboard(valid);
+}
 
-        const distToCenter = Math.sqrt(
-            Math.pow(asteroid.x - centerX, 2) +
-            Math.pow(asteroid.y - centerY, 2)
-        );
+function exportLeaderboard() {
+    const blob = new Blob([JSON.stringify({
+        version: LEADERBOARD_VERSION,
+        entries: state.leaderboard
+    }, null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
 
-        if (distToCenter < 50) {
-            state.asteroids.splice(i, 1);
-            loseLife();
-            state.screenShake.intensity = 20;
-        }
-    }
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = 'asteroid-leaderboard.json';
+    link.click();
+
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
 }
 
-// ============================================
-// PARTICLE EFFECTS
-// ============================================
-function createExplosion(x, y, size) {
-    const particleCount = Math.floor(CONFIG.particleCount * (size / 30));
+// Merges imported runs with the local ones; entries already present
+// (same id) are not duplicated
+function importLeaderboard(text) {
+    const data = JSON.parse(text);
+    const imported = sanitizeLeaderboard(Array.isArray(data) ? data : data && data.entries);
+    if (imported.length === 0) {
+        throw new Error('file has no leaderboard entries');
+    }
 
-    for (let i = 0; i < particleCount; i++) {
-        const angle = Math.random() * Math.PI * 2;
-        const speed = 2 + Math.random() * 5;
-        const hue = Math.random() * 60 + 10;
+    const known = new Set(state.leaderboard.map(entry => entry.id));
+    state.leaderboard = sortLeaderboard([
+        ...state.leaderboard,
+        ...imported.filter(entry => !known.has(entry.id))
+    ]);
+    saveLeaderboard(state.leaderboard);
 
-        state.particles.push({
-            x, y,
-            vx: Math.cos(angle) * speed,
-            vy: Math.sin(angle) * speed,
-            radius: 3 + Math.random() * 5,
-            life: 1,
-            decay: 0.02 + Math.random() * 0.02,
-            hue
-        });
-    }
+    state.highScore = getHighScore(state.mode);
+    updateHighScoreDisplay();
+    renderLeaderboard(elements.startLeaderboard, null);
 }
 
-function updateParticles() {
-    for (let i = state.particles.length - 1; i >= 0; i--) {
-        const p = state.particles[i];
+const LEADERBOARD_COLUMNS = [
+    ['#', (entry, i) => i + 1],
+    ['Name', entry => entry.name],
+    ['Score', entry => entry.score.toLocaleString()],
+    ['Combo', entry => (entry.maxCombo === null ? '—' : `x${entry.maxCombo}`)],
+    ['Destroyed', entry => (entry.destroyed === null ? '—' : entry.destroyed)],
+    ['Accuracy', entry => (entry.accuracy === null ? '—' : `${Math.round(entry.accuracy * 100)}%`)],
+    ['Time', entry => (entry.survivalTime === null ? '—' : formatDuration(entry.survivalTime))],
+    ['Date', entry => (entry.date ? new Date(entry.date).toLocaleDateString() : '—')],
+    ['Input', entry => (entry.inputMode ? INPUT_PROVIDERS[entry.inputMode].label : '—')]
+];
+
+// Shows one mode's board, by default the one selected on the start screen
+function renderLeaderboard(container, highlightId, mode = state.mode) {
+    const entries = getModeLeaderboard(mode);
+    if (entries.length === 0) {
+        const empty = document.createElement('p');
+        empty.className = 'leaderboard-empty';
+        empty.textContent = `No ${GAME_MODES[mode].label} runs yet — play a game to get on the board!`;
+        container.replaceChildren(empty);
+        return;
+    }
 
-        p.x += p.vx;
-        p.y += p.vy;
-        p.vx *= 0.98;
-        p.vy *= 0.98;
-        p.life -= p.decay;
-        p.radius *= 0.97;
+    const table = document.createElement('table');
+    table.className = 'leaderboard-table';
+    table.createCaption().textContent = GAME_MODES[mode].label;
 
-        if (p.life <= 0 || p.radius < 0.5) {
-            state.particles.splice(i, 1);
-        }
-    }
+    const header = table.createTHead().insertRow();
+    LEADERBOARD_COLUMNS.forEach(([title]) => {
+        const cell = document.createElement('th');
+        cell.textContent = title;
+        header.appendChild(cell);
+    });
+
+    const body = table.createTBody();
+    entries.forEach((entry, i) => {
+        const row = body.insertRow();
+        row.classList.toggle('highlight', entry.id === highlightId);
+        LEADERBOARD_COLUMNS.forEach(([, format]) => {
+            row.insertCell().textContent = format(entry, i);
+        });
+    });
+
+    container.replaceChildren(table);
+}
+
+function formatDuration(ms) {
+    const seconds = Math.floor(ms / 1000);
+    return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
 }
 
 // ============================================
-// RENDERING
+// ACHIEVEMENTS & LIFETIME STATS
 // ============================================
-function render() {
-    const ctx = gameCtx;
-    const canvas = elements.gameCanvas;
+// Totals across every live run plus unlocked achievements, stored as
+// { version, stats, unlocked } under 'asteroidProgress'. unlocked maps an
+// ACHIEVEMENTS key to the ISO date it was earned. Replays count for neither.
+const PROGRESS_VERSION = 1;
+
+function createEmptyStats() {
+    return {
+        gamesPlayed: 0,
+        destroyed: 0,
+        bestCombo: 0,
+        playTime: 0, // ms of game time, pauses excluded
+        trackingLossTime: 0 // ms in a round with no cursor detected
+    };
+}
 
-    ctx.clearRect(0, 0, canvas.width, canvas.height);
+function loadProgress() {
+    const progress = { stats: createEmptyStats(), unlocked: {} };
 
-    ctx.save();
-    if (state.screenShake.intensity > 0) {
-        const shakeX = (Math.random() - 0.5) * state.screenShake.intensity;
-        const shakeY = (Math.random() - 0.5) * state.screenShake.intensity;
-        ctx.translate(shakeX, shakeY);
-        state.screenShake.intensity *= 0.9;
+    try {
+        const saved = JSON.parse(localStorage.getItem('asteroidProgress'));
+        if (saved && saved.version === PROGRESS_VERSION) {
+            Object.keys(progress.stats).forEach(key => {
+                if (Number.isFinite(saved.stats[key]) && saved.stats[key] >= 0) {
+                    progress.stats[key] = saved.stats[key];
+                }
+            });
+            Object.entries(saved.unlocked || {}).forEach(([id, date]) => {
+                if (Object.hasOwn(ACHIEVEMENTS, id) && typeof date === 'string') {
+                    progress.unlocked[id] = date;
+                }
+            });
+        }
+    } catch (err) {
+        console.warn('⚠️ Ignoring invalid saved progress:', err);
     }
 
-    drawCenterZone(ctx, canvas);
-    drawAsteroids(ctx);
-    drawParticles(ctx);
-
-    if (state.fingerPosition.detected) {
-        drawFingerCursor(ctx);
-    } else {
-        // Draw "No hand detected" message
-        drawNoHandMessage(ctx, canvas);
-    }
+    return progress;
+}
 
-    ctx.restore();
+function saveProgress() {
+    localStorage.setItem('asteroidProgress', JSON.stringify({
+        version: PROGRESS_VERSION,
+        ...state.progress
+    }));
 }
 
-function drawNoHandMessage(ctx, canvas) {
-    ctx.fillStyle = 'rgba(255, 100, 100, 0.8)';
-    ctx.font = 'bold 24px Orbitron, sans-serif';
-    ctx.textAlign = 'center';
-    ctx.fillText('👆 Show your hand to the camera!', canvas.width / 2, 100);
+function resetProgress() {
+    state.progress = { stats: createEmptyStats(), unlocked: {} };
+    saveProgress();
+    renderProgress();
+    console.log('🗑️ Achievements and lifetime stats reset');
 }
 
-function drawCenterZone(ctx, canvas) {
-    const centerX = canvas.width / 2;
-    const centerY = canvas.height / 2;
-    const pulse = Math.sin(Date.now() / 500) * 0.2 + 0.8;
+// Adds a finished live round to the lifetime totals
+function recordLifetimeStats() {
+    const stats = state.progress.stats;
+    const sim = game.state;
+
+    stats.gamesPlayed++;
+    stats.destroyed += sim.stats.destroyed;
+    stats.bestCombo = Math.max(stats.bestCombo, sim.stats.maxCombo);
+    stats.playTime += Math.round(sim.gameTime);
+    saveProgress();
+    renderProgress();
+}
 
-    ctx.strokeStyle = `rgba(255, 100, 100, ${0.3 * pulse})`;
-    ctx.lineWidth = 2;
-    ctx.beginPath();
-    ctx.arc(centerX, centerY, 60, 0, Math.PI * 2);
-    ctx.stroke();
+// Counts real time, not game time, so an auto-pause for a lost hand counts
+function recordTrackingLoss(deltaTime) {
+    if (state.replay || isAnyCursorDetected()) return;
+    if (state.isPaused && state.pauseReason !== 'noHand') return;
 
-    const gradient = ctx.createRadialGradient(centerX, centerY, 0, centerX, centerY, 50);
-    gradient.addColorStop(0, `rgba(255, 50, 50, ${0.3 * pulse})`);
-    gradient.addColorStop(1, 'rgba(255, 50, 50, 0)');
-    ctx.fillStyle = gradient;
-    ctx.beginPath();
-    ctx.arc(centerX, centerY, 50, 0, Math.PI * 2);
-    ctx.fill();
+    state.progress.stats.trackingLossTime += Math.max(0, deltaTime);
 }
 
-function drawAsteroids(ctx) {
-    state.asteroids.forEach(asteroid => {
-        ctx.save();
-        ctx.translate(asteroid.x, asteroid.y);
-        ctx.rotate(asteroid.rotation);
+// Subscribes this round's achievement checks to the core's events
+function trackAchievements(core) {
+    const run = { livesLostThisWave: 0, pickups: 0 };
+    state.achievementRun = run;
 
-        ctx.beginPath();
-        asteroid.vertices.forEach((v, i) => {
-            const r = asteroid.radius * v.radius;
-            const x = Math.cos(v.angle) * r;
-            const y = Math.sin(v.angle) * r;
-            if (i === 0) ctx.moveTo(x, y);
-            else ctx.lineTo(x, y);
-        });
-        ctx.closePath();
+    // Counters first, so checks on the same event see them updated
+    core.on('lifeLost', () => {
+        run.livesLostThisWave++;
+    });
+    core.on('waveStarted', () => {
+        run.livesLostThisWave = 0;
+    });
+    core.on('pickedUp', () => {
+        run.pickups++;
+    });
 
-        const gradient = ctx.createRadialGradient(0, 0, 0, 0, 0, asteroid.radius);
-        gradient.addColorStop(0, `hsl(${asteroid.hue}, 50%, 40%)`);
-        gradient.addColorStop(1, `hsl(${asteroid.hue}, 60%, 20%)`);
-        ctx.fillStyle = gradient;
-        ctx.fill();
+    const types = new Set(Object.values(ACHIEVEMENTS).map(achievement => achievement.on));
+    types.delete('step');
+    types.forEach(type => core.on(type, detail => checkAchievements(type, detail)));
+}
 
-        ctx.strokeStyle = `hsl(${asteroid.hue}, 40%, 60%)`;
-        ctx.lineWidth = 2;
-        ctx.stroke();
+function checkAchievements(type, detail = {}) {
+    const run = state.achievementRun;
+    if (!run || state.replay) return;
 
-        ctx.restore();
-    });
-}
+    const hasLives = GAME_MODES[game.state.mode].lives !== false;
+    Object.entries(ACHIEVEMENTS).forEach(([id, achievement]) => {
+        if (achievement.on !== type || state.progress.unlocked[id]) return;
+        if (achievement.needsLives && !hasLives) return;
 
-function drawParticles(ctx) {
-    state.particles.forEach(p => {
-        ctx.fillStyle = `hsla(${p.hue}, 100%, 60%, ${p.life})`;
-        ctx.shadowColor = `hsl(${p.hue}, 100%, 50%)`;
-        ctx.shadowBlur = 10;
-        ctx.beginPath();
-        ctx.arc(p.x, p.y, p.radius, 0, Math.PI * 2);
-        ctx.fill();
+        if (achievement.check(game.state, detail, run)) {
+            unlockAchievement(id);
+        }
     });
-    ctx.shadowBlur = 0;
 }
 
-function drawFingerCursor(ctx) {
-    const { x, y } = state.fingerPosition;
+function unlockAchievement(id) {
+    const achievement = ACHIEVEMENTS[id];
 
-    // Draw trail
-    ctx.shadowBlur = 20;
-    state.positionHistory.forEach((pos, i) => {
-        const alpha = (i / state.positionHistory.length) * 0.5;
-        const radius = CONFIG.cursorRadius * (i / state.positionHistory.length) * 0.5;
-
-        ctx.fillStyle = `rgba(255, 0, 255, ${alpha})`;
-        ctx.shadowColor = 'rgba(255, 0, 255, 0.5)';
-        ctx.beginPath();
-        ctx.arc(pos.x, pos.y, radius, 0, Math.PI * 2);
-        ctx.fill();
-    });
+    state.progress.unlocked[id] = new Date().toISOString();
+    saveProgress();
+    renderProgress();
+    showToast(`${achievement.icon} ${achievement.title}`, achievement.description);
+    playAchievementTone();
 
-    // Main cursor
-    const gradient = ctx.createRadialGradient(x, y, 0, x, y, CONFIG.cursorRadius);
-    gradient.addColorStop(0, 'rgba(255, 0, 255, 0.8)');
-    gradient.addColorStop(0.5, 'rgba(255, 0, 255, 0.3)');
-    gradient.addColorStop(1, 'rgba(255, 0, 255, 0)');
+    console.log('🏅 Achievement unlocked:', achievement.title);
+}
 
-    ctx.fillStyle = gradient;
-    ctx.shadowColor = '#ff00ff';
-    ctx.shadowBlur = 30;
-    ctx.beginPath();
-    ctx.arc(x, y, CONFIG.cursorRadius, 0, Math.PI * 2);
-    ctx.fill();
+function showToast(title, message) {
+    const toast = document.createElement('div');
+    toast.className = 'toast';
 
-    // Inner ring
-    ctx.strokeStyle = '#ff00ff';
-    ctx.lineWidth = 3;
-    ctx.beginPath();
-    ctx.arc(x, y, CONFIG.cursorRadius * 0.6, 0, Math.PI * 2);
-    ctx.stroke();
+    const heading = document.createElement('strong');
+    heading.textContent = title;
+    const text = document.createElement('span');
+    text.textContent = message;
+    toast.append(heading, text);
 
-    // Finger icon
-    ctx.fillStyle = '#ffffff';
-    ctx.font = '28px Arial';
-    ctx.textAlign = 'center';
-    ctx.textBaseline = 'middle';
-    ctx.fillText('👆', x, y);
+    elements.toastStack.appendChild(toast);
+    setTimeout(() => toast.remove(), TOAST_DURATION);
+}
 
-    ctx.shadowBlur = 0;
+const LIFETIME_STATS = [
+    ['Games played', stats => stats.gamesPlayed.toLocaleString()],
+    ['Asteroids destroyed', stats => stats.destroyed.toLocaleString()],
+    ['Best combo', stats => `x${stats.bestCombo}`],
+    ['Play time', stats => formatDuration(stats.playTime)],
+    ['Tracking lost', stats => formatDuration(stats.trackingLossTime)]
+];
+
+function renderProgress() {
+    const { stats, unlocked } = state.progress;
+
+    const rows = LIFETIME_STATS.flatMap(([label, format]) => {
+        const term = document.createElement('dt');
+        term.textContent = label;
+        const value = document.createElement('dd');
+        value.textContent = format(stats);
+        return [term, value];
+    });
+    elements.lifetimeStats.replaceChildren(...rows);
+
+    const items = Object.entries(ACHIEVEMENTS).map(([id, achievement]) => {
+        const item = document.createElement('li');
+        item.className = 'achievement';
+        item.classList.toggle('locked', !unlocked[id]);
+
+        const title = document.createElement('strong');
+        title.textContent = `${achievement.icon} ${achievement.title}`;
+        const description = document.createElement('span');
+        description.textContent = unlocked[id]
+            ? `${achievement.description} — ${new Date(unlocked[id]).toLocaleDateString()}`
+            : achievement.description;
+        item.append(title, description);
+        return item;
+    });
+    elements.achievementList.replaceChildren(...items);
 }
 
 // ============================================
-// GAME LOGIC
+// CHALLENGES
 // ============================================
-async function startGame() {
-    console.log('🎮 Starting game...');
-
-    elements.startScreen.classList.add('hidden');
-    elements.gameOverScreen.classList.add('hidden');
-
-    // Show loading
-    if (elements.loadingHint) {
-        elements.loadingHint.style.display = 'block';
-        elements.loadingHint.textContent = '⏳ Initializing camera...';
+// A challenge fixes the seed and rules of a round so different browsers
+// play exactly the same asteroids. Its id says which one it is:
+//   D20261019  the daily challenge for that date
+//   SOFFICE42  a custom seed typed on the start screen
+// Share codes are "<id>-<score in base 36>-<checksum>", e.g.
+// "D20261019-2KF-6C5W", and need no server to compare.
+const CHALLENGE_RESULTS_VERSION = 1;
+
+// FNV-1a, for turning challenge ids into seeds and checksums
+function hashString(text) {
+    let hash = 0x811C9DC5;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
     }
+    return hash >>> 0;
+}
 
-    const webcamReady = await initWebcam();
+// Days are UTC so everyone shares the same daily challenge at the same
+// moment, whatever their time zone
+function getDailyChallengeId(date) {
+    const pad = n => String(n).padStart(2, '0');
+    return `D${date.getUTCFullYear()}${pad(date.getUTCMonth() + 1)}${pad(date.getUTCDate())}`;
+}
 
-    if (!webcamReady) {
-        elements.cameraErrorScreen.classList.remove('hidden');
-        return;
-    }
+function cleanSeed(text) {
+    return String(text).toUpperCase().replace(/[^A-Z0-9]/g, '').slice(0, CHALLENGE_CONFIG.seedMaxLength);
+}
 
-    if (elements.loadingHint) {
-        elements.loadingHint.textContent = '⏳ Loading hand tracking...';
+// Returns { id, label, seed, modifier, config }, or null for an id that
+// isn't a valid challenge
+function createChallenge(id) {
+    const daily = /^D(\d{4})(\d{2})(\d{2})$/.exec(id);
+    const custom = new RegExp(`^S([A-Z0-9]{1,${CHALLENGE_CONFIG.seedMaxLength}})$`).exec(id);
+    if (!daily && !custom) return null;
+
+    const seed = hashString(id);
+    let label, modifier = null;
+
+    if (daily) {
+        // One modifier per day, in turn
+        const modifiers = Object.keys(CHALLENGE_MODIFIERS);
+        const day = Math.floor(Date.UTC(daily[1], daily[2] - 1, daily[3]) / (24 * 60 * 60 * 1000));
+        modifier = modifiers[day % modifiers.length];
+        label = `📅 Daily ${daily[1]}-${daily[2]}-${daily[3]} · ${CHALLENGE_MODIFIERS[modifier].label}`;
+    } else {
+        label = `🎲 Seed ${custom[1]}`;
     }
 
-    await initHandTracking();
+    return {
+        id,
+        label,
+        seed,
+        modifier,
+        config: { ...CORE_CONFIG, ...(modifier ? CHALLENGE_MODIFIERS[modifier].config : {}) }
+    };
+}
 
-    // Reset game state
-    state.isPlaying = true;
-    state.score = 0;
-    state.lives = CONFIG.initialLives;
-    state.combo = 1;
-    state.asteroids = [];
-    state.particles = [];
-    state.gameTime = 0;
-    state.lastSpawnTime = 0;
-    state.fingerPosition = { x: 0, y: 0, detected: false };
-    state.positionHistory = [];
-    state.debugMode = false; // Disable debug after first confirmation
+function getShareChecksum(id, score) {
+    return (hashString(`${id}-${score}`) % (36 ** 4)).toString(36).toUpperCase().padStart(4, '0');
+}
 
-    updateLivesDisplay();
-    updateScoreDisplay();
+function createShareCode(id, score) {
+    return `${id}-${score.toString(36).toUpperCase()}-${getShareChecksum(id, score)}`;
+}
 
-    console.log('✅ Game started!');
+// Returns { challenge, score }; throws with a readable message otherwise
+function parseShareCode(code) {
+    const parts = String(code).trim().toUpperCase().split('-');
+    if (parts.length !== 3) {
+        throw new Error('that is not a share code');
+    }
 
-    // Start game loop
-    lastFrameTime = performance.now();
-    requestAnimationFrame(gameLoop);
+    const [id, scoreText, checksum] = parts;
+    const challenge = createChallenge(id);
+    const score = parseInt(scoreText, 36);
+    if (!challenge || !/^[0-9A-Z]+$/.test(scoreText) || !Number.isSafeInteger(score)) {
+        throw new Error('that is not a share code');
+    }
+    if (checksum !== getShareChecksum(id, score)) {
+        throw new Error('the checksum does not match, check for typos');
+    }
+
+    return { challenge, score };
 }
 
-let lastFrameTime = 0;
+// Best score per challenge id, stored as { version, best } under
+// 'asteroidChallenges'. Only the most recent ones are kept.
+function loadChallengeResults() {
+    try {
+        const saved = JSON.parse(localStorage.getItem('asteroidChallenges'));
+        if (saved && saved.version === CHALLENGE_RESULTS_VERSION && saved.best) {
+            return saved.best;
+        }
+    } catch (err) {
+        console.warn('⚠️ Ignoring invalid saved challenge results:', err);
+    }
+    return {};
+}
 
-function gameLoop(currentTime) {
-    if (!state.isPlaying) return;
+function getChallengeBest(id) {
+    const best = loadChallengeResults()[id];
+    return Number.isFinite(best) ? best : null;
+}
 
-    const deltaTime = currentTime - lastFrameTime;
-    lastFrameTime = currentTime;
+function saveChallengeResult(id, score) {
+    const best = loadChallengeResults();
+    const previous = best[id];
+    delete best[id];
+    best[id] = Math.max(score, Number.isFinite(previous) ? previous : 0);
 
-    state.gameTime += deltaTime;
+    // Keys keep insertion order, so the oldest go first
+    const ids = Object.keys(best);
+    ids.slice(0, Math.max(0, ids.length - CHALLENGE_CONFIG.resultsKept)).forEach(old => delete best[old]);
 
-    // Spawn asteroids
-    const spawnInterval = Math.max(
-        CONFIG.minSpawnInterval,
-        CONFIG.asteroidSpawnInterval - state.gameTime / 100
-    );
+    localStorage.setItem('asteroidChallenges', JSON.stringify({
+        version: CHALLENGE_RESULTS_VERSION,
+        best
+    }));
+}
 
-    if (currentTime - state.lastSpawnTime > spawnInterval) {
-        spawnAsteroid();
-        state.lastSpawnTime = currentTime;
-    }
+// Saves the result, shows the share code and puts the local settings back
+function finishChallenge() {
+    const { id, label } = state.challenge;
+    const score = game.state.score;
+
+    saveChallengeResult(id, score);
+    elements.challengeLabel.textContent = label;
+    elements.shareCodeOutput.value = createShareCode(id, score);
+    elements.copyShareCodeBtn.textContent = '📋 Copy';
+    console.log('📅 Challenge finished:', elements.shareCodeOutput.value);
+}
 
-    updateAsteroids(deltaTime);
-    updateParticles();
+async function copyShareCode() {
+    const code = elements.shareCodeOutput.value;
 
-    // Check combo timeout
-    if (Date.now() - state.lastDestroyTime > CONFIG.comboTimeout && state.combo > 1) {
-        state.combo = 1;
-        updateScoreDisplay();
+    try {
+        await navigator.clipboard.writeText(code);
+        elements.copyShareCodeBtn.textContent = '✔️ Copied';
+    } catch (err) {
+        // No clipboard access (e.g. plain http): leave it selected to copy by hand
+        elements.shareCodeOutput.select();
     }
-
-    render();
-    requestAnimationFrame(gameLoop);
 }
 
-function loseLife() {
-    state.lives--;
-    updateLivesDisplay();
+function renderDailyChallenge() {
+    const challenge = createChallenge(getDailyChallengeId(new Date()));
+    const best = getChallengeBest(challenge.id);
 
-    if (state.lives <= 0) {
-        gameOver();
-    }
+    elements.dailyChallengeInfo.textContent = best === null
+        ? `${challenge.label} — not played yet`
+        : `${challenge.label} — your best: ${best.toLocaleString()}`;
 }
 
-function gameOver() {
-    state.isPlaying = false;
+function compareShareCode(code) {
+    let result;
+    try {
+        result = parseShareCode(code);
+    } catch (err) {
+        showCompareResult(`❌ Can't read that code: ${err.message}`, null);
+        return;
+    }
 
-    if (state.score > state.highScore) {
-        state.highScore = state.score;
-        localStorage.setItem('asteroidHighScore', state.highScore);
-        elements.newHighScore.classList.remove('hidden');
+    const { challenge, score } = result;
+    const best = getChallengeBest(challenge.id);
+    let verdict;
+
+    if (best === null) {
+        verdict = `You haven't played this one yet.`;
+    } else if (best > score) {
+        verdict = `Your best is ${best.toLocaleString()}: you lead by ${(best - score).toLocaleString()}.`;
+    } else if (best < score) {
+        verdict = `Your best is ${best.toLocaleString()}: they lead by ${(score - best).toLocaleString()}.`;
     } else {
-        elements.newHighScore.classList.add('hidden');
+        verdict = `Your best is ${best.toLocaleString()}: it's a tie!`;
     }
 
-    elements.finalScore.textContent = state.score.toLocaleString();
-    updateHighScoreDisplay();
+    showCompareResult(`${challenge.label}: they scored ${score.toLocaleString()}. ${verdict}`, challenge.id);
+}
 
-    setTimeout(() => {
-        elements.gameOverScreen.classList.remove('hidden');
-    }, 500);
+function showCompareResult(message, challengeId) {
+    elements.compareResult.textContent = message;
+    elements.compareResult.classList.remove('hidden');
+    elements.playCodeChallengeBtn.classList.toggle('hidden', !challengeId);
+    elements.playCodeChallengeBtn.dataset.challenge = challengeId || '';
 }
 
 // ============================================
 // UI UPDATES
 // ============================================
+const SCORE_ANNOUNCE_DELAY = 1500; // ms without a score change
+let scoreAnnounceTimer = null;
+
 function updateScoreDisplay() {
-    elements.scoreDisplay.textContent = state.score.toLocaleString();
-    elements.comboDisplay.textContent = `x${state.combo}`;
+    const [p1, p2] = game.state.players;
+
+    elements.scoreLabel.textContent = game.state.coop ? 'P1 SCORE' : 'SCORE';
+    elements.comboLabel.textContent = game.state.coop ? 'P1 COMBO' : 'COMBO';
+    elements.scoreDisplay.textContent = p1.score.toLocaleString();
+    elements.comboDisplay.textContent = `x${p1.combo}`;
+
+    elements.p2ScoreItem.classList.toggle('hidden', !p2);
+    elements.p2ComboItem.classList.toggle('hidden', !p2);
+    if (p2) {
+        elements.p2ScoreDisplay.textContent = p2.score.toLocaleString();
+        elements.p2ComboDisplay.textContent = `x${p2.combo}`;
+    }
+
+    // Screen readers hear the score once it settles, not on every hit
+    clearTimeout(scoreAnnounceTimer);
+    scoreAnnounceTimer = setTimeout(() => {
+        announce(game.state.coop
+            ? `P1 score ${p1.score}, P2 score ${p2.score}`
+            : `Score ${p1.score}`);
+    }, SCORE_ANNOUNCE_DELAY);
+
+    if (isReducedMotion()) return;
 
     elements.scoreDisplay.style.transform = 'scale(1.2)';
     setTimeout(() => {
@@ -865,19 +4745,63 @@ function updateScoreDisplay() {
     }, 100);
 }
 
+function updateActionDisplay() {
+    elements.bombDisplay.textContent = `💣${game.state.bombs}`;
+
+    const cooldown = game.state.shieldReadyAt - game.state.gameTime;
+    elements.shieldDisplay.textContent = cooldown > 0 ? `${Math.ceil(cooldown / 1000)}s` : 'READY';
+}
+
+function updateWaveDisplay() {
+    elements.waveDisplay.textContent = game.state.wave.number;
+}
+
+function updateTimeDisplay() {
+    const timeLeft = game.getTimeLeft();
+    if (timeLeft !== null) {
+        elements.timeDisplay.textContent = formatDuration(timeLeft + 999);
+    }
+}
+
 function updateHighScoreDisplay() {
     elements.highScoreDisplay.textContent = state.highScore.toLocaleString();
 }
 
+// One heart per life, keeping lost starting lives visible as empty slots
 function updateLivesDisplay() {
-    const hearts = elements.livesPanel.querySelectorAll('.lives-icon');
-    hearts.forEach((heart, i) => {
-        if (i >= state.lives) {
+    const count = Math.max(CONFIG.initialLives, game.state.lives);
+    const hearts = [];
+
+    for (let i = 0; i < count; i++) {
+        const heart = document.createElement('span');
+        heart.className = 'lives-icon';
+        heart.textContent = '❤️';
+        if (i >= game.state.lives) {
             heart.classList.add('lost');
-        } else {
-            heart.classList.remove('lost');
         }
+        hearts.push(heart);
+    }
+
+    elements.livesPanel.replaceChildren(...hearts);
+    elements.livesPanel.setAttribute('aria-label', `${game.state.lives} of ${count} lives`);
+
+    // Lives matter right away, so they skip the score's delay
+    if (GAME_MODES[game.state.mode].lives !== false) {
+        announce(game.state.lives === 1 ? '1 life left' : `${game.state.lives} lives left`);
+    }
+}
+
+function updatePowerUpDisplay() {
+    const chips = Object.entries(game.state.powerUps).map(([name, expiresAt]) => {
+        const type = POWER_UP_CONFIG.types[name];
+        const chip = document.createElement('div');
+        chip.className = 'power-up-chip';
+        chip.style.setProperty('--power-up-color', type.color);
+        chip.textContent = `${type.icon} ${type.label} ${Math.ceil((expiresAt - game.state.gameTime) / 1000)}s`;
+        return chip;
     });
+
+    elements.powerUpPanel.replaceChildren(...chips);
 }
 
 // ============================================
@@ -887,5 +4811,5 @@ init();
 
 // Log helpful debug info
 console.log('📋 Debug info:');
-console.log('  - Hands available:', typeof Hands !== 'undefined');
-console.log('  - Camera available:', typeof Camera !== 'undefined');
+console.log('  - MediaPipe base:', ASSET_CONFIG.mediapipeBase);
+console.log('  - Online:', navigator.onLine);
@@ -0,0 +1,49 @@
+#!/bin/sh
+# Downloads MediaPipe Hands and the game fonts into vendor/ so the game can
+# be served without any CDN. Run from anywhere; needs npm, tar and curl.
+set -e
+
+ROOT="$(cd "$(dirname "$0")/.." && pwd)"
+VENDOR="$ROOT/vendor"
+TMP="$(mktemp -d)"
+trap 'rm -rf "$TMP"' EXIT
+
+# Pinned so the service worker's precache list stays valid
+HANDS=@mediapipe/hands@0.4.1675469240
+TASKS_VISION=@mediapipe/tasks-vision@0.10.14
+HAND_MODEL=https://storage.googleapis.com/mediapipe-models/hand_landmarker/hand_landmarker/float16/1/hand_landmarker.task
+ORBITRON=@fontsource/orbitron@5.3.0
+RAJDHANI=@fontsource/rajdhani@5.3.0
+
+unpack() {
+    (cd "$TMP" && rm -rf package && tar xzf "$(npm pack --silent "$1")")
+}
+
+mkdir -p "$VENDOR/mediapipe/hands" "$VENDOR/mediapipe/tasks-vision/wasm" "$VENDOR/mediapipe/models" "$VENDOR/fonts"
+
+echo "📦 $HANDS"
+unpack "$HANDS"
+cp "$TMP"/package/*.js "$TMP"/package/*.wasm "$TMP"/package/*.data \
+   "$TMP"/package/*.tflite "$TMP"/package/*.binarypb "$VENDOR/mediapipe/hands/"
+
+echo "📦 $TASKS_VISION"
+unpack "$TASKS_VISION"
+cp "$TMP/package/vision_bundle.cjs" "$VENDOR/mediapipe/tasks-vision/"
+cp "$TMP"/package/wasm/* "$VENDOR/mediapipe/tasks-vision/wasm/"
+
+echo "📦 hand_landmarker.task"
+curl -fsSL "$HAND_MODEL" -o "$VENDOR/mediapipe/models/hand_landmarker.task"
+
+echo "📦 $ORBITRON"
+unpack "$ORBITRON"
+for weight in 400 700 900; do
+    cp "$TMP/package/files/orbitron-latin-$weight-normal.woff2" "$VENDOR/fonts/"
+done
+
+echo "📦 $RAJDHANI"
+unpack "$RAJDHANI"
+for weight in 400 500 700; do
+    cp "$TMP/package/files/rajdhani-latin-$weight-normal.woff2" "$VENDOR/fonts/"
+done
+
+echo "✅ Assets are in $VENDOR"
@@ -0,0 +1,123 @@
+// Service worker: keeps the game and its self-hosted assets in a cache so
+// it installs and runs offline after the first visit. Bump CACHE_VERSION
+// whenever the precache list changes.
+const CACHE_VERSION = 'asteroid-destroyer-v7';
+
+// Pinned CDN builds that game.js (the *Fallback URLs in ASSET_CONFIG) and
+// style.css fall back to when vendor/ is missing. Versioned URLs never
+// change, so they are cached like vendor/.
+const CDN_PREFIXES = [
+    'https://cdn.jsdelivr.net/npm/@mediapipe/hands@0.4.1675469240/',
+    'https://cdn.jsdelivr.net/npm/@mediapipe/tasks-vision@0.10.14/',
+    'https://storage.googleapis.com/mediapipe-models/hand_landmarker/hand_landmarker/float16/1/',
+    'https://cdn.jsdelivr.net/npm/@fontsource/orbitron@5.3.0/',
+    'https://cdn.jsdelivr.net/npm/@fontsource/rajdhani@5.3.0/'
+];
+
+const APP_SHELL = [
+    './',
+    'index.html',
+    'game.js',
+    'game-core.js',
+    'cursor-filters.js',
+    'tracking-vision.js',
+    'tracking-worker.js',
+    'style.css',
+    'manifest.webmanifest',
+    'icon.svg',
+    'vendor/fonts/orbitron-latin-400-normal.woff2',
+    'vendor/fonts/orbitron-latin-700-normal.woff2',
+    'vendor/fonts/orbitron-latin-900-normal.woff2',
+    'vendor/fonts/rajdhani-latin-400-normal.woff2',
+    'vendor/fonts/rajdhani-latin-500-normal.woff2',
+    'vendor/fonts/rajdhani-latin-700-normal.woff2'
+];
+
+// What hand tracking fetches at the default base path: the tasks-vision
+// HandLandmarker in the worker, and legacy MediaPipe Hands for browsers
+// that run it on the main thread. Both wasm builds of each are kept since
+// which one loads depends on the browser's SIMD support.
+const MEDIAPIPE_FILES = [
+    'tasks-vision/vision_bundle.cjs',
+    'tasks-vision/wasm/vision_wasm_internal.js',
+    'tasks-vision/wasm/vision_wasm_internal.wasm',
+    'tasks-vision/wasm/vision_wasm_nosimd_internal.js',
+    'tasks-vision/wasm/vision_wasm_nosimd_internal.wasm',
+    'models/hand_landmarker.task',
+    'hands/hands.js',
+    'hands/hands.binarypb',
+    'hands/hand_landmark_lite.tflite',
+    'hands/hand_landmark_full.tflite',
+    'hands/hands_solution_packed_assets_loader.js',
+    'hands/hands_solution_packed_assets.data',
+    'hands/hands_solution_simd_wasm_bin.js',
+    'hands/hands_solution_simd_wasm_bin.wasm',
+    'hands/hands_solution_simd_wasm_bin.data',
+    'hands/hands_solution_wasm_bin.js',
+    'hands/hands_solution_wasm_bin.wasm'
+].map(file => `vendor/mediapipe/${file}`);
+
+self.addEventListener('install', (event) => {
+    event.waitUntil((async () => {
+        const cache = await caches.open(CACHE_VERSION);
+
+        // One missing file (e.g. vendor/ not fetched yet) shouldn't stop
+        // the rest from being cached
+        await Promise.all([...APP_SHELL, ...MEDIAPIPE_FILES].map(url =>
+            cache.add(url).catch(err => console.warn('⚠️ Not cached:', url, err))
+        ));
+        await self.skipWaiting();
+    })());
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil((async () => {
+        const keys = await caches.keys();
+        await Promise.all(keys.filter(key => key !== CACHE_VERSION).map(key => caches.delete(key)));
+        await self.clients.claim();
+    })());
+});
+
+// vendor/ and pinned CDN files never change for a given version, so they
+// come straight from the cache. Everything else tries the network first so
+// updates show up, and falls back to the cache when offline.
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    if (request.method !== 'GET') return;
+
+    const url = new URL(request.url);
+    if (CDN_PREFIXES.some(prefix => request.url.startsWith(prefix))) {
+        event.respondWith(cacheFirst(request));
+    } else if (url.origin === self.location.origin) {
+        event.respondWith(url.pathname.includes('/vendor/')
+            ? cacheFirst(request)
+            : networkFirst(request));
+    }
+});
+
+async function cacheFirst(request) {
+    const cached = await caches.match(request);
+    return cached || fetchAndCache(request);
+}
+
+async function networkFirst(request) {
+    try {
+        return await fetchAndCache(request);
+    } catch (err) {
+        const cached = await caches.match(request, { ignoreSearch: request.mode === 'navigate' });
+        if (cached) return cached;
+        if (request.mode === 'navigate') {
+            return caches.match('index.html');
+        }
+        throw err;
+    }
+}
+
+async function fetchAndCache(request) {
+    const response = await fetch(request);
+    if (response.ok) {
+        const cache = await caches.open(CACHE_VERSION);
+        cache.put(request, response.clone());
+    }
+    return response;
+}
@@ -0,0 +1,120 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+
+import { runCursorFilterTrace } from '../cursor-filters.js';
+
+// Slot 0: one second held still around (0.3, 0.5) with tracking jitter, a
+// 300 ms swipe right to 0.7, a hold, two dropped frames, another hold
+// and then six lost frames. A few slot 1 samples are mixed in.
+const { trace } = JSON.parse(readFileSync(new URL('./fixtures/cursor-trace.json', import.meta.url)));
+const samples = trace.filter(sample => sample[1] === 0);
+
+// The game's default tuning
+const BASE_OPTIONS = {
+    predict: false,
+    gapFillFrames: 3,
+    lerp: 0.3,
+    minCutoff: 1.0,
+    beta: 4.0,
+    derivativeCutoff: 1.0,
+    processNoise: 40,
+    measurementNoise: 0.00003
+};
+
+const FILTERS = ['none', 'lerp', 'oneEuro', 'kalman'];
+
+function run(type, options = {}) {
+    return runCursorFilterTrace(trace, 0, { ...BASE_OPTIONS, type, ...options });
+}
+
+function spread(values) {
+    const mean = values.reduce((sum, v) => sum + v, 0) / values.length;
+    return Math.sqrt(values.reduce((sum, v) => sum + (v - mean) ** 2, 0) / values.length);
+}
+
+// Output for the still second, skipping the first samples while filters settle
+function stillPart(output) {
+    return output.slice(10, 30);
+}
+
+test('every filter returns one output per sample of the slot', () => {
+    FILTERS.forEach(type => {
+        const output = run(type);
+        assert.equal(output.length, samples.length, type);
+        assert.deepEqual(output.map(o => o.t), samples.map(s => s[0]), type);
+    });
+});
+
+test('the none filter passes detected samples through unchanged', () => {
+    run('none').forEach((out, i) => {
+        const [, , x, y] = samples[i];
+        if (x !== null) {
+            assert.equal(out.x, x);
+            assert.equal(out.y, y);
+        }
+    });
+});
+
+test('lerp and One Euro reduce jitter while the hand is still', () => {
+    const raw = spread(stillPart(samples).map(s => s[2]));
+
+    ['lerp', 'oneEuro'].forEach(type => {
+        const filtered = spread(stillPart(run(type)).map(o => o.x));
+        assert.ok(filtered < raw * 0.5, `${type}: ${filtered} vs raw ${raw}`);
+    });
+});
+
+test('Kalman steadies the cursor more as measurement noise rises', () => {
+    const raw = spread(stillPart(samples).map(s => s[2]));
+    const jitter = [0.00003, 0.0001, 0.0005].map(measurementNoise =>
+        spread(stillPart(run('kalman', { measurementNoise })).map(o => o.x)));
+
+    assert.ok(jitter[0] < raw);
+    assert.ok(jitter[1] < jitter[0]);
+    assert.ok(jitter[2] < jitter[1]);
+});
+
+test('smoothing filters catch up with a swipe', () => {
+    // Ten frames into the hold after the swipe
+    const settled = samples.findIndex(s => s[2] !== null && s[2] > 0.69) + 10;
+
+    FILTERS.forEach(type => {
+        const out = run(type)[settled];
+        assert.ok(Math.abs(out.x - 0.7) < 0.02, `${type} at ${out.x}`);
+        assert.ok(Math.abs(out.y - 0.5) < 0.02, `${type} at ${out.y}`);
+    });
+});
+
+test('short gaps are bridged and long ones drop the cursor', () => {
+    const lost = samples.map((s, i) => (s[2] === null ? i : -1)).filter(i => i >= 0);
+    const shortGap = lost.slice(0, 2);
+    const longGap = lost.slice(2);
+
+    FILTERS.forEach(type => {
+        const output = run(type);
+        shortGap.forEach(i => assert.notEqual(output[i].x, null, `${type} frame ${i}`));
+
+        // Bridged for gapFillFrames, then lost
+        longGap.forEach((i, n) => {
+            const expectLost = n >= BASE_OPTIONS.gapFillFrames;
+            assert.equal(output[i].x === null, expectLost, `${type} missed frame ${n + 1}`);
+        });
+    });
+});
+
+test('no gap fill drops the cursor on the first missed frame', () => {
+    const output = run('oneEuro', { gapFillFrames: 0 });
+    samples.forEach((s, i) => {
+        assert.equal(output[i].x === null, s[2] === null);
+    });
+});
+
+test('latency prediction leads the hand along a swipe', () => {
+    const plain = run('kalman');
+    const predicted = run('kalman', { predict: true });
+
+    // Mid-swipe the hand moves right, so the prediction is further right
+    const swipe = samples.findIndex(s => s[2] !== null && s[2] > 0.45);
+    assert.ok(predicted[swipe].x > plain[swipe].x);
+});
@@ -0,0 +1,194 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { ASTEROID_TYPES, CORE_CONFIG, GAME_MODES, WAVE_CONFIG, createGameCore, createRng } from '../game-core.js';
+
+const WORLD = { width: 1280, height: 720 };
+
+function createGame(seed = 1, options = {}) {
+    return createGameCore({ world: WORLD, rng: createRng(seed), ...options });
+}
+
+// Swipes back and forth across the nearest asteroid, fast enough to cut
+function slashFrame(game, step) {
+    const target = game.state.asteroids[0];
+    if (!target) return { cursors: [[WORLD.width / 2, WORLD.height / 2, 1]] };
+
+    const side = step % 2 === 0 ? -1 : 1;
+    return { cursors: [[target.x + side * 40, target.y, 1]] };
+}
+
+// Runs until the round ends or maxSteps, returning every input frame
+function play(game, nextFrame, maxSteps = 60 * 60 * 5) {
+    const frames = [];
+    for (let step = 0; step < maxSteps && !game.state.over; step++) {
+        const frame = nextFrame(game, step);
+        frames.push(frame);
+        game.step(frame);
+    }
+    return frames;
+}
+
+test('createRng repeats its sequence for the same seed', () => {
+    const a = createRng(42);
+    const b = createRng(42);
+    const c = createRng(43);
+
+    const first = Array.from({ length: 5 }, a);
+    assert.deepEqual(Array.from({ length: 5 }, b), first);
+    assert.notDeepEqual(Array.from({ length: 5 }, c), first);
+    first.forEach(value => assert.ok(value >= 0 && value < 1));
+});
+
+test('destroying an asteroid scores its type, size and combo', () => {
+    const game = createGame(3);
+    const kills = [];
+    game.on('destroyed', ({ asteroid, player, points }) => {
+        kills.push({ asteroid, combo: player.combo, points });
+    });
+
+    play(game, slashFrame, 60 * 60);
+
+    assert.ok(kills.length > 0, 'the bot should destroy something');
+    kills.forEach(({ asteroid, combo, points }) => {
+        const multiplier = asteroid.boss ? WAVE_CONFIG.boss.scoreMultiplier : 1;
+        const expected = Math.round(ASTEROID_TYPES[asteroid.type].score * combo * (asteroid.radius / 30) * multiplier);
+        assert.equal(points, expected);
+    });
+    assert.equal(game.state.score, kills.reduce((sum, kill) => sum + kill.points, 0));
+    assert.equal(game.state.players[0].score, game.state.score);
+});
+
+test('kills inside the combo window raise the multiplier up to x10', () => {
+    const game = createGame(3);
+    let lastKillAt = -Infinity;
+    let lastCombo = 0;
+    let maxCombo = 0;
+    game.on('destroyed', ({ player }) => {
+        const chained = game.state.gameTime - lastKillAt < CORE_CONFIG.comboTimeout;
+        assert.equal(player.combo, chained ? Math.min(10, lastCombo + 1) : 1);
+        lastKillAt = game.state.gameTime;
+        lastCombo = player.combo;
+        maxCombo = Math.max(maxCombo, player.combo);
+    });
+
+    play(game, slashFrame, 60 * 60);
+
+    assert.ok(maxCombo > 1, 'the bot should chain kills');
+    assert.equal(game.state.stats.maxCombo, maxCombo);
+});
+
+test('the combo resets once the window runs out', () => {
+    const game = createGame(3);
+    let resets = 0;
+    game.on('comboReset', () => resets++);
+
+    // Chain a few kills, then stand still well past the window
+    play(game, slashFrame, 60 * 20);
+    const comboBefore = game.state.players[0].combo;
+    const resetsBefore = resets;
+    play(game, () => ({ cursors: [[0, 0, 0]] }), Math.ceil(CORE_CONFIG.comboTimeout / CORE_CONFIG.simulationStep) + 2);
+
+    assert.ok(comboBefore > 1, 'the bot should end on a chain');
+    assert.equal(resets, resetsBefore + 1);
+    assert.equal(game.state.players[0].combo, 1);
+});
+
+test('asteroids reaching the center cost lives until the game is over', () => {
+    const game = createGame(5);
+    const lives = [];
+    const gameOvers = [];
+    game.on('lifeLost', event => lives.push(event.lives));
+    game.on('gameOver', event => gameOvers.push(event));
+
+    // No hand on screen: nothing stops them
+    play(game, () => ({ cursors: [[0, 0, 0]] }));
+
+    assert.equal(game.state.over, true);
+    assert.equal(game.state.lives <= 0, true);
+    assert.deepEqual(lives.slice(0, CORE_CONFIG.initialLives), [2, 1, 0]);
+    assert.deepEqual(gameOvers, [{ score: 0 }]);
+
+    // A finished round ignores further steps
+    const gameTime = game.state.gameTime;
+    game.step({ cursors: [[640, 360, 1]] });
+    assert.equal(game.state.gameTime, gameTime);
+});
+
+test('co-op impacts without lives cost one penalty, paid by the leader', () => {
+    const game = createGame(5, { coop: true, mode: 'timeAttack' });
+    const penalty = GAME_MODES.timeAttack.impactPenalty;
+    let impacts = 0;
+    let charged = 0;
+    let scoresAtImpact = null;
+
+    game.on('impact', () => {
+        impacts++;
+        scoresAtImpact = game.state.players.map(player => player.score);
+    });
+    game.on('scored', ({ player, points }) => {
+        if (points >= 0) return;
+        charged++;
+        const index = game.state.players.indexOf(player);
+        assert.equal(scoresAtImpact[index], Math.max(...scoresAtImpact));
+        assert.equal(points, -Math.min(penalty, scoresAtImpact[index]));
+    });
+
+    // Player 2 plays for ten seconds, then player 1 for ten, then both
+    // stop so asteroids get through
+    const idle = [0, 0, 0];
+    play(game, (g, step) => {
+        const slash = slashFrame(g, step).cursors[0];
+        if (step < 60 * 10) return { cursors: [idle, slash] };
+        if (step < 60 * 20) return { cursors: [slash, idle] };
+        return { cursors: [idle, idle] };
+    });
+
+    assert.ok(game.state.over);
+    assert.ok(impacts > 0, 'some asteroids should get through');
+    assert.ok(charged > 0 && charged <= impacts);
+    assert.equal(game.state.score, game.state.players[0].score + game.state.players[1].score);
+});
+
+test('power-up countdowns tick once a second whatever the step size', () => {
+    [CORE_CONFIG.simulationStep, 1000 / 30, 1000 / 144].forEach(deltaTime => {
+        const game = createGame(2);
+        let changes = 0;
+        game.on('powerUpsChanged', () => changes++);
+
+        game.state.powerUps.slowMo = game.state.gameTime + 3000;
+        while (game.isPowerUpActive('slowMo')) {
+            game.step({ cursors: [[0, 0, 0]] }, deltaTime);
+        }
+
+        // 2 and 1 seconds left, then expired
+        assert.equal(changes, 3, `step of ${deltaTime} ms`);
+    });
+});
+
+test('the same seed and input frames replay to the same round', () => {
+    const live = createGame(11);
+    const frames = play(live, slashFrame, 60 * 90);
+
+    const replay = createGame(11);
+    frames.forEach(frame => replay.step(frame));
+
+    assert.ok(live.state.score > 0);
+    assert.equal(replay.state.score, live.state.score);
+    assert.equal(replay.state.lives, live.state.lives);
+    assert.equal(replay.state.gameTime, live.state.gameTime);
+    assert.deepEqual(replay.state.stats, live.state.stats);
+    assert.equal(replay.state.wave.number, live.state.wave.number);
+});
+
+test('a different seed plays a different round', () => {
+    const a = createGame(1);
+    const b = createGame(2);
+    play(a, () => ({ cursors: [[0, 0, 0]] }), 60 * 5);
+    play(b, () => ({ cursors: [[0, 0, 0]] }), 60 * 5);
+
+    assert.notDeepEqual(
+        a.state.asteroids.map(asteroid => [asteroid.x, asteroid.y]),
+        b.state.asteroids.map(asteroid => [asteroid.x, asteroid.y])
+    );
+});
@@ -0,0 +1,119 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import vm from 'node:vm';
+
+const ORIGIN = 'https://game.example';
+const CDN_HANDS = 'https://cdn.jsdelivr.net/npm/@mediapipe/hands@0.4.1675469240/hands.js';
+
+function readSource(file) {
+    return readFileSync(new URL(`../${file}`, import.meta.url), 'utf8');
+}
+
+// Runs sw.js against a minimal service worker scope. `online` decides
+// whether fetch() reaches the network; the cache is a Map keyed by URL.
+function loadServiceWorker() {
+    const listeners = {};
+    const cached = new Map();
+    const fetched = [];
+    const scope = { online: true };
+
+    const cache = {
+        put: (request, response) => cached.set(request.url, response),
+        add: async (url) => cached.set(new URL(url, ORIGIN).href, { ok: true, body: `cached ${url}` })
+    };
+    const context = {
+        URL,
+        console,
+        self: {
+            location: new URL(`${ORIGIN}/`),
+            addEventListener: (type, listener) => { listeners[type] = listener; },
+            skipWaiting: async () => {},
+            clients: { claim: async () => {} }
+        },
+        caches: {
+            open: async () => cache,
+            keys: async () => [],
+            delete: async () => true,
+            match: async (request) => cached.get(typeof request === 'string' ? new URL(request, ORIGIN).href : request.url)
+        },
+        fetch: async (request) => {
+            fetched.push(request.url);
+            if (!scope.online) throw new TypeError('Failed to fetch');
+            const response = { ok: true, body: `network ${request.url}` };
+            response.clone = () => response;
+            return response;
+        }
+    };
+    vm.runInNewContext(readSource('sw.js'), context, { filename: 'sw.js' });
+
+    scope.cached = cached;
+    scope.fetched = fetched;
+    // Resolves to what the worker answered with, or undefined when it
+    // leaves the request to the browser
+    scope.request = (url, { method = 'GET', mode = 'cors' } = {}) => {
+        let response;
+        listeners.fetch({
+            request: { url: new URL(url, ORIGIN).href, method, mode },
+            respondWith: (promise) => { response = promise; }
+        });
+        return response;
+    };
+    return scope;
+}
+
+test('app shell files come from the network and are cached for offline use', async () => {
+    const sw = loadServiceWorker();
+
+    const online = await sw.request('game.js');
+    assert.equal(online.body, `network ${ORIGIN}/game.js`);
+    assert.ok(sw.cached.has(`${ORIGIN}/game.js`));
+
+    sw.online = false;
+    const offline = await sw.request('game.js');
+    assert.equal(offline.body, `network ${ORIGIN}/game.js`);
+});
+
+test('offline navigation falls back to the cached page', async () => {
+    const sw = loadServiceWorker();
+    await sw.request('index.html');
+
+    sw.online = false;
+    const page = await sw.request('?cursorFilter=kalman', { mode: 'navigate' });
+    assert.equal(page.body, `network ${ORIGIN}/index.html`);
+});
+
+test('vendor files and pinned CDN files are served from the cache first', async () => {
+    const sw = loadServiceWorker();
+
+    await sw.request('vendor/fonts/orbitron-latin-400-normal.woff2');
+    await sw.request(CDN_HANDS);
+    assert.equal(sw.fetched.length, 2);
+
+    await sw.request('vendor/fonts/orbitron-latin-400-normal.woff2');
+    const hands = await sw.request(CDN_HANDS);
+    assert.equal(hands.body, `network ${CDN_HANDS}`);
+    assert.equal(sw.fetched.length, 2);
+});
+
+test('other requests are left to the browser', () => {
+    const sw = loadServiceWorker();
+
+    assert.equal(sw.request('https://cdn.jsdelivr.net/npm/@mediapipe/hands/hands.js'), undefined);
+    assert.equal(sw.request('https://example.org/api'), undefined);
+    assert.equal(sw.request('game.js', { method: 'POST' }), undefined);
+});
+
+test('the cached CDN versions match the ones the game falls back to', () => {
+    const sw = readSource('sw.js');
+    const prefixes = [...sw.matchAll(/'(https:\/\/[^']+\/)'/g)].map(match => match[1]);
+    const fallbacks = [
+        ...readSource('game.js').matchAll(/Fallback: '([^']+)'/g),
+        ...readSource('style.css').matchAll(/url\('(https:[^']+)'\)/g)
+    ].map(match => match[1]);
+
+    assert.ok(fallbacks.length > 1);
+    fallbacks.forEach(url => {
+        assert.ok(prefixes.some(prefix => url.startsWith(prefix)), `${url} is not cached by sw.js`);
+    });
+});
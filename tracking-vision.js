@@ -0,0 +1,144 @@
+/**
+ * Colored ball detection shared by the page and tracking-worker.js.
+ * Plain functions over RGBA pixel data, no DOM access, so the same code
+ * runs on the main thread or inside the worker.
+ */
+
+// Reused between frames to avoid allocating per frame
+let blobMask = null;
+let blobLabels = null;
+let blobStack = null;
+
+// Finds the largest patch of ball-colored pixels in imageData, painting
+// every match magenta so the preview shows what is being tracked.
+// Returns { x, y, area, radius } in pixels (area in grid cells, as
+// CONFIG.minBlobSize expects), or null when nothing matches.
+function detectColorBall(imageData, target, tolerance) {
+    const { data, width, height } = imageData;
+
+    // Build a mask of ball-colored pixels on a half-resolution grid
+    const step = 2; // Skip pixels for speed
+    const gridW = Math.floor(width / step);
+    const gridH = Math.floor(height / step);
+
+    if (!blobMask || blobMask.length !== gridW * gridH) {
+        blobMask = new Uint8Array(gridW * gridH);
+        blobLabels = new Int32Array(gridW * gridH);
+        blobStack = new Int32Array(gridW * gridH);
+    }
+
+    for (let gy = 0; gy < gridH; gy++) {
+        for (let gx = 0; gx < gridW; gx++) {
+            const i = (gy * step * width + gx * step) * 4;
+            const match = matchesBallColor(data[i], data[i + 1], data[i + 2], target, tolerance);
+            blobMask[gy * gridW + gx] = match ? 1 : 0;
+
+            if (match) {
+                // Highlight detected pixels
+                data[i] = 255;
+                data[i + 1] = 0;
+                data[i + 2] = 255;
+            }
+        }
+    }
+
+    const blob = findLargestBlob(gridW, gridH);
+    if (!blob) return null;
+
+    return {
+        x: blob.x * step,
+        y: blob.y * step,
+        area: blob.area,
+        radius: Math.max(10, Math.sqrt(blob.area / Math.PI) * step)
+    };
+}
+
+function matchesBallColor(r, g, b, target, tolerance) {
+    const { h, s, v } = rgbToHsv(r, g, b);
+
+    // Hue is meaningless for washed-out or dark pixels
+    if (s < 0.2 || v < 0.15) return false;
+
+    const hueTolerance = tolerance;
+    const svTolerance = tolerance / 50;
+
+    let hueDiff = Math.abs(h - target.h);
+    if (hueDiff > 180) hueDiff = 360 - hueDiff;
+
+    return hueDiff <= hueTolerance &&
+        Math.abs(s - target.s) <= svTolerance &&
+        Math.abs(v - target.v) <= svTolerance;
+}
+
+// Connected-component labeling (4-connectivity) over blobMask.
+// Returns the centroid and area of the largest component, in grid cells.
+function findLargestBlob(gridW, gridH) {
+    blobLabels.fill(0);
+
+    let best = null;
+    let label = 0;
+
+    for (let start = 0; start < blobMask.length; start++) {
+        if (!blobMask[start] || blobLabels[start]) continue;
+
+        label++;
+        let area = 0, sumX = 0, sumY = 0;
+        let top = 0;
+        blobStack[top++] = start;
+        blobLabels[start] = label;
+
+        while (top > 0) {
+            const idx = blobStack[--top];
+            const x = idx % gridW;
+            const y = (idx - x) / gridW;
+
+            area++;
+            sumX += x;
+            sumY += y;
+
+            if (x > 0 && blobMask[idx - 1] && !blobLabels[idx - 1]) {
+                blobLabels[idx - 1] = label;
+                blobStack[top++] = idx - 1;
+            }
+            if (x < gridW - 1 && blobMask[idx + 1] && !blobLabels[idx + 1]) {
+                blobLabels[idx + 1] = label;
+                blobStack[top++] = idx + 1;
+            }
+            if (y > 0 && blobMask[idx - gridW] && !blobLabels[idx - gridW]) {
+                blobLabels[idx - gridW] = label;
+                blobStack[top++] = idx - gridW;
+            }
+            if (y < gridH - 1 && blobMask[idx + gridW] && !blobLabels[idx + gridW]) {
+                blobLabels[idx + gridW] = label;
+                blobStack[top++] = idx + gridW;
+            }
+        }
+
+        if (!best || area > best.area) {
+            best = { x: sumX / area, y: sumY / area, area };
+        }
+    }
+
+    return best;
+}
+
+function rgbToHsv(r, g, b) {
+    r /= 255;
+    g /= 255;
+    b /= 255;
+
+    const max = Math.max(r, g, b);
+    const min = Math.min(r, g, b);
+    const d = max - min;
+
+    let h = 0;
+    if (d !== 0) {
+        if (max === r) h = ((g - b) / d) % 6;
+        else if (max === g) h = (b - r) / d + 2;
+        else h = (r - g) / d + 4;
+        h *= 60;
+        if (h < 0) h += 360;
+    }
+
+    return { h, s: max === 0 ? 0 : d / max, v: max };
+}
@@ -0,0 +1,129 @@
+// Tracking worker: runs hand inference and colored ball detection off the
+// main thread so they don't stall rendering. The page transfers each camera
+// frame as an ImageBitmap and gets plain results back; see TRACKING
+// SESSION in game.js for the other half.
+//
+// Hands use the HandLandmarker from @mediapipe/tasks-vision, whose loader
+// works in a worker (the legacy @mediapipe/hands build needs a document).
+// Its CommonJS bundle is loaded with importScripts into this `exports`.
+//
+// Messages are { id, type, ...payload } and every one is answered with
+// { id, result } or { id, error }.
+importScripts('tracking-vision.js');
+
+var exports = {};
+
+let handLandmarker = null;
+let colorCanvas = null;
+let colorCtx = null;
+
+const HANDLERS = {
+    // Tries each tasks-vision folder and model URL in turn, so a deploy
+    // without vendor/ falls back to the pinned CDN copies
+    async initHands({ tasksVisionBases, handModelUrls, maxHands }) {
+        let lastError = null;
+
+        for (const base of tasksVisionBases) {
+            try {
+                if (!exports.HandLandmarker) {
+                    importScripts(`${base}vision_bundle.cjs`);
+                }
+                const fileset = await exports.FilesetResolver.forVisionTasks(`${base}wasm`);
+
+                for (const modelUrl of handModelUrls) {
+                    try {
+                        handLandmarker = await createHandLandmarker(fileset, modelUrl, maxHands);
+                        return true;
+                    } catch (err) {
+                        lastError = err;
+                    }
+                }
+            } catch (err) {
+                lastError = err;
+            }
+        }
+        throw lastError || new Error('No tasks-vision source to load');
+    },
+
+    handsFrame({ bitmap }) {
+        if (!handLandmarker) throw new Error('Hand tracking is not initialized');
+
+        const started = performance.now();
+        let result;
+        try {
+            result = handLandmarker.detectForVideo(bitmap, started);
+        } finally {
+            bitmap.close();
+        }
+
+        // Same shape as the legacy Hands results onHandResults() reads
+        return {
+            multiHandLandmarks: result.landmarks,
+            multiHandedness: result.handedness.map(([best]) => ({ label: best.categoryName, score: best.score })),
+            inferenceMs: performance.now() - started
+        };
+    },
+
+    colorFrame({ bitmap, mirror, target, tolerance }) {
+        const started = performance.now();
+        const { width, height } = bitmap;
+
+        if (!colorCanvas || colorCanvas.width !== width || colorCanvas.height !== height) {
+            colorCanvas = new OffscreenCanvas(width, height);
+            colorCtx = colorCanvas.getContext('2d', { willReadFrequently: true });
+        }
+
+        colorCtx.save();
+        if (mirror) {
+            colorCtx.translate(width, 0);
+            colorCtx.scale(-1, 1);
+        }
+        colorCtx.drawImage(bitmap, 0, 0);
+        colorCtx.restore();
+        bitmap.close();
+
+        const imageData = colorCtx.getImageData(0, 0, width, height);
+        const blob = detectColorBall(imageData, target, tolerance);
+        colorCtx.putImageData(imageData, 0, 0);
+
+        return {
+            blob,
+            preview: colorCanvas.transferToImageBitmap(),
+            inferenceMs: performance.now() - started
+        };
+    }
+};
+
+// The GPU delegate needs WebGL in the worker; the CPU one always works
+async function createHandLandmarker(fileset, modelAssetPath, maxHands) {
+    const options = {
+        runningMode: 'VIDEO',
+        numHands: maxHands,
+        minHandDetectionConfidence: 0.5,
+        minHandPresenceConfidence: 0.5,
+        minTrackingConfidence: 0.5
+    };
+
+    try {
+        return await exports.HandLandmarker.createFromOptions(fileset, {
+            ...options,
+            baseOptions: { modelAssetPath, delegate: 'GPU' }
+        });
+    } catch (err) {
+        return exports.HandLandmarker.createFromOptions(fileset, {
+            ...options,
+            baseOptions: { modelAssetPath, delegate: 'CPU' }
+        });
+    }
+}
+
+self.onmessage = async ({ data }) => {
+    const { id, type, ...payload } = data;
+
+    try {
+        const result = await HANDLERS[type](payload);
+        self.postMessage({ id, result }, result && result.preview ? [result.preview] : []);
+    } catch (err) {
+        self.postMessage({ id, error: err.message || String(err) });
+    }
+};